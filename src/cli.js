@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+const path = require('path');
+const {
+  TaskGraph,
+  CancelledError,
+  ConsoleRenderer,
+  LogRenderer,
+  JSONRenderer,
+} = require('./taskgraph');
+
+const USAGE = `Usage: console-taskgraph [options] <tasks-module>
+
+Run the tasks exported by <tasks-module>, either as a list of tasks or as an
+object {tasks, options}, where options are passed to the TaskGraph constructor.
+
+Options:
+  --target <key>        only run the tasks needed to provide <key> (may be repeated)
+  --renderer <name>     console, log, or json (default console for a terminal, else log)
+  --set <key>=<value>   set <key> in the context; values are parsed as JSON if possible,
+                        and otherwise used as strings (may be repeated)
+  --list                list the tasks that would run, without running them
+  --help                show this message
+
+Exit status is 0 on success, 1 if a task fails, 2 for a usage or graph error, and
+130 if the run is interrupted.`;
+
+const RENDERERS = {
+  console: () => new ConsoleRenderer(),
+  log: () => new LogRenderer(),
+  json: () => new JSONRenderer(),
+};
+
+/**
+ * An error in the command-line arguments or the tasks module.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse command-line arguments into `{module, targets, renderer, context, list, help}`.
+ */
+const parseArgs = argv => {
+  const args = {module: null, targets: [], renderer: null, context: {}, list: false, help: false};
+  for (let i = 0; i < argv.length; i++) {
+    // accept both `--option value` and `--option=value`
+    const match = /^(--[^=]+)=(.*)$/.exec(argv[i]);
+    const arg = match ? match[1] : argv[i];
+    const value = () => {
+      const v = match ? match[2] : argv[++i];
+      if (v === undefined) {
+        throw new UsageError(`${arg} requires a value`);
+      }
+      return v;
+    };
+
+    if (arg === '--target') {
+      args.targets.push(value());
+    } else if (arg === '--renderer') {
+      args.renderer = value();
+      if (!RENDERERS[args.renderer]) {
+        throw new UsageError(`Unknown renderer ${args.renderer}`);
+      }
+    } else if (arg === '--set') {
+      const setting = value();
+      const eq = setting.indexOf('=');
+      if (eq < 1) {
+        throw new UsageError(`--set requires key=value, not ${setting}`);
+      }
+      const raw = setting.slice(eq + 1);
+      try {
+        args.context[setting.slice(0, eq)] = JSON.parse(raw);
+      } catch (err) {
+        args.context[setting.slice(0, eq)] = raw;
+      }
+    } else if (arg === '--list') {
+      args.list = true;
+    } else if (arg === '--help') {
+      args.help = true;
+    } else if (arg.startsWith('--') || args.module) {
+      throw new UsageError(`Unexpected argument ${arg}`);
+    } else {
+      args.module = arg;
+    }
+  }
+
+  if (!args.module && !args.help) {
+    throw new UsageError('No tasks module given');
+  }
+  return args;
+};
+
+/**
+ * Load the tasks module, returning `{tasks, options}`.
+ */
+const loadTasks = filename => {
+  let exported;
+  try {
+    exported = require(path.resolve(filename));
+  } catch (err) {
+    throw new UsageError(`Could not load tasks module ${filename}: ${err.message}`);
+  }
+  if (Array.isArray(exported)) {
+    return {tasks: exported, options: {}};
+  }
+  if (exported && Array.isArray(exported.tasks)) {
+    return {tasks: exported.tasks, options: exported.options || {}};
+  }
+  throw new UsageError(`Tasks module ${filename} must export a list of tasks, or {tasks, options}`);
+};
+
+/**
+ * Run the command line with the given arguments, returning the exit status.
+ */
+const main = async argv => {
+  let graph;
+  try {
+    const args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+
+    const {tasks, options} = loadTasks(args.module);
+    graph = new TaskGraph(tasks, {
+      ...options,
+      ...args.targets.length ? {target: args.targets} : {},
+      ...args.renderer ? {renderer: RENDERERS[args.renderer]()} : {},
+    });
+
+    if (args.list) {
+      graph.nodes.forEach(({task: {title, requires, provides}}) => {
+        const deps = [`requires: ${requires.join(', ') || '-'}`, `provides: ${provides.join(', ') || '-'}`];
+        console.log(`${title} (${deps.join('; ')})`);
+      });
+      return 0;
+    }
+
+    // the context holds only the --set values, so a requirement missing from it is an argument error
+    const provided = new Set(Object.keys(args.context));
+    graph.nodes.forEach(({task: {provides}}) => provides.forEach(key => provided.add(key)));
+    graph.nodes.forEach(({task: {title, requires}}) => requires.forEach(key => {
+      if (!provided.has(key)) {
+        throw new UsageError(`Task ${title} requires ${key}, which is not provided by any task or by --set`);
+      }
+    }));
+
+    await graph.run(args.context);
+    return 0;
+  } catch (err) {
+    if (err instanceof CancelledError) {
+      console.error('Interrupted');
+      return 130;
+    }
+    // usage errors, and errors before the graph was constructed, are problems with the arguments or tasks
+    console.error(err instanceof UsageError ? `${err.message}\n\n${USAGE}` : err.message);
+    return graph && !(err instanceof UsageError) ? 1 : 2;
+  }
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(status => {
+    process.exitCode = status;
+  });
+}
@@ -1,5 +1,14 @@
 const _ = require('lodash');
 const assert = require('assert');
+const Ajv = require('ajv');
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const {ChildProcess, fork, spawn} = require('child_process');
+const {Worker, isMainThread, workerData, parentPort} = require('worker_threads');
+const fs = require('fs');
+const glob = require('glob');
+const os = require('os');
+const path = require('path');
 const format = require('date-fns/format');
 const logUpdate = require('log-update');
 const {dots2: spinner} = require('cli-spinners');
@@ -14,27 +23,387 @@ const cliTruncate = require('cli-truncate');
 const unicodeProgress = require('unicode-progress');
 const Observable = require('zen-observable');
 
-class TaskGraph {
+/**
+ * The error with which `graph.run` rejects when the run is cancelled, either
+ * by `graph.cancel()` or by SIGINT.
+ */
+class CancelledError extends Error {
+  constructor(message) {
+    super(message || 'Task graph run was cancelled');
+    this.name = 'CancelledError';
+  }
+}
+
+exports.CancelledError = CancelledError;
+
+/**
+ * The error with which a task fails when it exceeds its timeout, or when the graph
+ * exceeds its timeout while the task is running.  The `task` property is the title
+ * of the task (or null for the graph as a whole), and `elapsed` is in milliseconds.
+ */
+class TimeoutError extends Error {
+  constructor(task, elapsed) {
+    super(`${task ? `Task ${task}` : 'Task graph'} timed out after ${elapsed}ms`);
+    this.name = 'TimeoutError';
+    this.task = task;
+    this.elapsed = elapsed;
+  }
+}
+
+exports.TimeoutError = TimeoutError;
+
+/**
+ * The error thrown when a graph is invalid.  The `problems` property lists each
+ * problem as `{type, message, ..}`, with additional properties depending on the type.
+ */
+class GraphValidationError extends Error {
+  constructor(problems) {
+    super(`Invalid task graph:\n${problems.map(p => `  ${p.message}`).join('\n')}`);
+    this.name = 'GraphValidationError';
+    this.problems = problems;
+  }
+}
+
+exports.GraphValidationError = GraphValidationError;
+
+/**
+ * The error with which `utils.waitFor` rejects when a child process exits
+ * unsuccessfully.  Exactly one of the `code` and `signal` properties is non-null.
+ */
+class ProcessError extends Error {
+  constructor(command, code, signal) {
+    super(`Command ${command} ${signal ? `was killed by signal ${signal}` : `exited with code ${code}`}`);
+    this.name = 'ProcessError';
+    this.command = command;
+    this.code = code;
+    this.signal = signal;
+  }
+}
+
+exports.ProcessError = ProcessError;
+
+/**
+ * The error with which a task fails when a value it provides does not pass the
+ * task's validator for that key.  The `task` and `key` properties identify the
+ * value, and `mismatch` describes what is wrong with it.
+ */
+class InvalidValueError extends Error {
+  constructor(task, key, mismatch) {
+    super(`Task ${task} provided an invalid value for ${key}: ${mismatch}`);
+    this.name = 'InvalidValueError';
+    this.task = task;
+    this.key = key;
+    this.mismatch = mismatch;
+  }
+}
+
+exports.InvalidValueError = InvalidValueError;
+
+// states in which a node has successfully provided its values
+const DONE_STATES = new Set(['finished', 'skipped', 'cached', 'resumed']);
+
+// states in which a node will not change further
+const FINAL_STATES = new Set([...DONE_STATES, 'failed', 'cancelled', 'blocked']);
+
+// levels for utils.log, least severe first
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Format a `utils.log` entry as a single line, with any fields as JSON.
+ */
+const formatLogEntry = ({level, message, fields}) => {
+  const suffix = fields && Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+  return `${level}: ${message}${suffix}`;
+};
+
+// colours for nodes in each state, in graph exports
+const STATE_COLORS = {
+  running: '#fff59d',
+  finished: '#a5d6a7',
+  skipped: '#b3e5fc',
+  cached: '#b3e5fc',
+  resumed: '#b3e5fc',
+  failed: '#ef9a9a',
+  cancelled: '#ffcc80',
+  blocked: '#e0e0e0',
+};
+
+/**
+ * Find dependency cycles among the given nodes, returning each cycle as a list of
+ * nodes in which each requires a value provided by the next, with the first node
+ * repeated at the end.
+ */
+const findCycles = nodes => {
+  const providers = new Map();
+  nodes.forEach(node => node.task.provides.forEach(k => providers.set(k, node)));
+  const dependencies = node =>
+    _.uniq(dependencyKeys(node.task).filter(k => providers.has(k)).map(k => providers.get(k)));
+
+  // depth-first search, recording the current path; a dependency already on the
+  // path closes a cycle
+  const cycles = [];
+  const seen = new Set();
+  const found = new Set();
+  const visit = (node, path) => {
+    const i = path.indexOf(node);
+    if (i !== -1) {
+      const cycle = path.slice(i);
+      // the same cycle may be reached from any of its nodes
+      const id = cycle.map(n => nodes.indexOf(n)).sort().join(',');
+      if (!found.has(id)) {
+        found.add(id);
+        cycles.push([...cycle, node]);
+      }
+      return;
+    }
+    if (seen.has(node)) {
+      return;
+    }
+    path.push(node);
+    dependencies(node).forEach(dep => visit(dep, path));
+    path.pop();
+    seen.add(node);
+  };
+  nodes.forEach(node => visit(node, []));
+  return cycles;
+};
+
+/**
+ * Return the locks used by a task as an object mapping lock name to weight.  Tasks
+ * may give `locks` as an array of names (each with weight 1) or as such an object.
+ */
+const lockWeights = ({locks}) => Array.isArray(locks) ? _.fromPairs(locks.map(l => [l, 1])) : locks;
+
+/**
+ * Describe the locks used by a task for display, e.g., `gpu, memory (4)`.
+ */
+const describeLocks = task => _.map(lockWeights(task), (w, l) => w === 1 ? l : `${l} (${w})`);
+
+/**
+ * Built-in schedulers.  A scheduler is a function `(nodes, graph)` that returns the
+ * given pending nodes in the order in which they should be started.  Nodes are
+ * started in that order, as their requirements and locks allow.
+ */
+const schedulers = {
+  // start nodes in the order they were given to the constructor
+  order: nodes => nodes,
+
+  // start nodes with higher `priority` first, otherwise in constructor order
+  priority: nodes => _.sortBy(nodes, node => -node.task.priority),
+
+  // start nodes with higher `priority` first, then those which the most other
+  // nodes depend on
+  downstream: (nodes, graph) => {
+    const counts = graph._downstreamCounts();
+    return _.sortBy(nodes, node => -node.task.priority, node => -counts.get(node));
+  },
+};
+
+exports.schedulers = schedulers;
+
+/**
+ * Make an empty record of a node's timings.  `lockedSince` is set while the node is
+ * ready, but its locks are unavailable.
+ */
+const makeTimings = () => ({
+  ready: null,
+  started: null,
+  finished: null,
+  sequence: null,
+  lockWait: 0,
+  lockedSince: null,
+});
+
+/**
+ * Return a hash of a task's definition, used to check that a checkpoint or cache
+ * entry was made from the same task.  A shellTask's `run` is always the same, so its command is
+ * included, and an isolated task has no `run`, so its module is included.
+ */
+const taskHash = ({title, requires, optionalRequires, provides, run, when, command, isolate, module}) =>
+  crypto.createHash('sha256')
+    .update(JSON.stringify([title, requires, optionalRequires, provides, String(run), String(when), String(command),
+      isolate, module]))
+    .digest('hex');
+
+const ajv = new Ajv({allErrors: true});
+
+/**
+ * Check a value provided for `key` against a validator: either a JSON Schema object,
+ * or a function returning false or a string describing the mismatch for an invalid
+ * value.  Returns a description of the mismatch, or null if the value is valid.
+ */
+const checkValue = (key, value, validator) => {
+  if (typeof validator === 'function') {
+    let result;
+    try {
+      result = validator(value);
+    } catch (err) {
+      return err.message;
+    }
+    if (result === false) {
+      return `${key} is invalid`;
+    }
+    return typeof result === 'string' ? result : null;
+  }
+
+  const validate = ajv.compile(validator);
+  return validate(value) ? null : ajv.errorsText(validate.errors, {dataVar: key});
+};
+
+/**
+ * Return all of the keys a task depends on, whether required or optional.
+ */
+const dependencyKeys = ({requires, optionalRequires}) => [...requires, ...optionalRequires];
+
+/**
+ * Make a new graph node for the given task, filling in defaults.
+ */
+const makeNode = task => ({state: 'pending', task: {
+  requires: [],
+  optionalRequires: [],
+  provides: [],
+  locks: [],
+  inputs: [],
+  validate: {},
+  retries: 0,
+  backoff: 0,
+  retryOn: () => true,
+  priority: 0,
+  ...task,
+}});
+
+class TaskGraph extends EventEmitter {
   constructor(tasks, options={}) {
-    this.nodes = tasks.map(task => ({state: 'pending', task: {requires: [], provides: [], locks: [], ...task}}));
-    this.renderer = options.renderer || (process.stdout.isTTY ? new ConsoleRenderer() : new LogRenderer());
+    super();
+    this.nodes = tasks.map(makeNode);
+    this.renderers = [
+      ...options.renderer ? [options.renderer] : [],
+      ...options.renderers || [],
+    ];
+    if (!this.renderers.length) {
+      this.renderers.push(process.stdout.isTTY ? new ConsoleRenderer() : new LogRenderer());
+    }
+    // all updates go to every renderer, and are emitted as events
+    this.renderer = new MultiRenderer([...this.renderers, new EventRenderer(this)]);
     this.locks = options.locks || {};
+    this.concurrency = options.concurrency || os.cpus().length;
+    this.keepGoing = !!options.keepGoing;
+    this.timeout = options.timeout;
+    this.logDirectory = options.logDirectory;
+    this.checkpoint = options.checkpoint;
+    this.resumeFrom = options.resumeFrom;
+    this.watchInterval = options.watchInterval || 500;
+    this.logLevel = options.logLevel || 'info';
+    assert(LOG_LEVELS.includes(this.logLevel), `Unknown log level ${this.logLevel}`);
+    if (options.cache === true) {
+      this.cache = new FileCache();
+    } else if (typeof options.cache === 'string') {
+      this.cache = new FileCache({directory: options.cache});
+    } else {
+      this.cache = options.cache;
+    }
 
-    const provided = new Set();
-    this.nodes.forEach(({task: {provides}}) => provides.forEach(k => provided.add(k)));
-    this.nodes.forEach(({task}) => {
-      assert('title' in task, 'Task has no title');
-      assert('run' in task, `Task ${task.title} has no run method`);
-      assert(task.locks.every(l => l in this.locks), `Task ${task.title} has undefined locks`);
+    const target = options.target ?
+      new Set(Array.isArray(options.target) ? options.target : [options.target]) : null;
+    this.contextKeys = options.contextKeys;
+    this.scheduler = typeof options.scheduler === 'function' ?
+      options.scheduler : schedulers[options.scheduler || 'priority'];
+    assert(this.scheduler, `Unknown scheduler ${options.scheduler}`);
+    const problems = this._validate(this.nodes, {target});
+    if (problems.length) {
+      throw new GraphValidationError(problems);
+    }
+
+    if (target) {
+      this.nodes = this._target(target);
+    }
+  }
+
+  /**
+   * Check the given nodes for problems that would prevent the graph from running,
+   * returning a list of `{type, message, ..}` objects describing each problem.
+   */
+  _validate(nodes, {target}={}) {
+    const problems = [];
+    const problem = (type, message, details) => problems.push({type, message, ...details});
+
+    nodes.forEach(({task}) => {
+      if (!('title' in task)) {
+        problem('no-title', 'Task has no title');
+      }
+      if (task.isolate) {
+        if (!['worker', 'process'].includes(task.isolate) || !task.module) {
+          problem('invalid-isolate', `Task ${task.title} must have a module, and isolate 'worker' or 'process'`,
+            {task: task.title});
+        } else if (!path.isAbsolute(task.module)) {
+          // the module is loaded from this file, so a relative path would not be relative to the caller
+          problem('invalid-isolate', `Task ${task.title} must have an absolute module path, not ${task.module}`,
+            {task: task.title});
+        }
+      } else if (!('run' in task)) {
+        problem('no-run', `Task ${task.title} has no run method`, {task: task.title});
+      }
+      _.forEach(task.validate, (validator, key) => {
+        let mismatch = null;
+        if (!task.provides.includes(key)) {
+          mismatch = 'it does not provide that key';
+        } else if (typeof validator !== 'function') {
+          try {
+            ajv.compile(validator);
+          } catch (err) {
+            mismatch = err.message;
+          }
+        }
+        if (mismatch) {
+          problem('invalid-validator', `Task ${task.title} has an invalid validator for ${key}: ${mismatch}`,
+            {task: task.title, key});
+        }
+      });
+      _.forEach(lockWeights(task), (weight, lock) => {
+        if (!(lock in this.locks)) {
+          problem('undefined-lock', `Task ${task.title} uses undefined lock ${lock}`, {task: task.title, lock});
+        } else if (weight > this.locks[lock].N) {
+          const N = this.locks[lock].N;
+          problem('lock-weight', `Task ${task.title} uses ${weight} of lock ${lock}, which has only ${N}`,
+            {task: task.title, lock, weight});
+        }
+      });
     });
 
-    if (options.target) {
-      const target = new Set(Array.isArray(options.target) ? options.target : [options.target]);
-      target.forEach(k => {
-        assert(provided.has(k), `Target ${k} is not provided by any nodes`);
+    const providers = new Map();
+    nodes.forEach(({task: {title, provides}}) => provides.forEach(k => {
+      providers.set(k, [...providers.get(k) || [], title]);
+    }));
+    providers.forEach((tasks, key) => {
+      if (tasks.length > 1) {
+        problem('duplicate-provider', `Key ${key} is provided by multiple tasks: ${tasks.join(', ')}`, {key, tasks});
+      }
+    });
+
+    if (this.contextKeys) {
+      nodes.forEach(({task}) => task.requires.forEach(key => {
+        if (!providers.has(key) && !this.contextKeys.includes(key)) {
+          problem('unprovided-requirement',
+            `Task ${task.title} requires ${key}, which is not provided by any task or by the context`,
+            {task: task.title, key});
+        }
+      }));
+    }
+
+    if (target) {
+      target.forEach(key => {
+        if (!providers.has(key)) {
+          problem('unprovided-target', `Target ${key} is not provided by any nodes`, {key});
+        }
       });
-      this.nodes = this._target(target);
     }
+
+    findCycles(nodes).forEach(cycle => {
+      const path = cycle.map(node => node.task.title);
+      problem('cycle', `Dependency cycle: ${path.join(' -> ')}`, {path});
+    });
+
+    return problems;
   }
 
   /**
@@ -45,10 +414,11 @@ class TaskGraph {
     let lastSize = -1;
     while (lastSize !== target.size) {
       lastSize = target.size;
-      // add the `requires` for any nodes that `provide` anything in the current target, to target
-      this.nodes.forEach(({task: {requires, provides}}) => {
-        if (provides.some(k => target.has(k))) {
-          requires.forEach(k => target.add(k));
+      // add the `requires` (and `optionalRequires`) for any nodes that `provide` anything in the
+      // current target, to target
+      this.nodes.forEach(({task}) => {
+        if (task.provides.some(k => target.has(k))) {
+          dependencyKeys(task).forEach(k => target.add(k));
         }
       });
     }
@@ -57,42 +427,378 @@ class TaskGraph {
     return this.nodes.filter(({task: {provides}}) => provides.some(k => target.has(k)));
   }
 
+  /**
+   * Expand the given list of nodes to include all nodes that directly or indirectly
+   * depend on them.
+   */
+  _downstream(nodes) {
+    // iterate to increase keys to include *all* keys provided downstream until a fixed point
+    const keys = new Set(_.flatMap(nodes, ({task: {provides}}) => provides));
+    let lastSize = -1;
+    while (lastSize !== keys.size) {
+      lastSize = keys.size;
+      this.nodes.forEach(({task}) => {
+        if (dependencyKeys(task).some(k => keys.has(k))) {
+          task.provides.forEach(k => keys.add(k));
+        }
+      });
+    }
+
+    return this.nodes.filter(node => nodes.includes(node) || dependencyKeys(node.task).some(k => keys.has(k)));
+  }
+
+  /**
+   * Return a Map giving, for each node, the number of other nodes that directly or
+   * indirectly depend on it.  This is cached until `_resetDownstreamCounts` is called,
+   * at the start of each run or plan and when nodes are added.
+   */
+  _downstreamCounts() {
+    if (this._downstreamCountsCache) {
+      return this._downstreamCountsCache;
+    }
+    const dependents = new Map(this.nodes.map(node => [node, []]));
+    const providers = new Map();
+    this.nodes.forEach(node => node.task.provides.forEach(k => providers.set(k, node)));
+    this.nodes.forEach(node => dependencyKeys(node.task).forEach(k => {
+      if (providers.has(k)) {
+        dependents.get(providers.get(k)).push(node);
+      }
+    }));
+
+    const counts = new Map();
+    this.nodes.forEach(node => {
+      const seen = new Set();
+      const visit = n => dependents.get(n).forEach(dep => {
+        if (!seen.has(dep)) {
+          seen.add(dep);
+          visit(dep);
+        }
+      });
+      visit(node);
+      seen.delete(node);
+      counts.set(node, seen.size);
+    });
+    this._downstreamCountsCache = counts;
+    return counts;
+  }
+
+  _resetDownstreamCounts() {
+    this._downstreamCountsCache = null;
+  }
+
+  /**
+   * Check that every node's requirements are provided either by the given context
+   * or by some other node.
+   */
+  _checkRequirements(context) {
+    const provided = new Set(Object.keys(context));
+    this.nodes.forEach(({task: {provides}}) => provides.forEach(k => provided.add(k)));
+    this.nodes.forEach(({task}) => {
+      assert(task.requires.every(k => provided.has(k)), `Task ${task.title} has unfulfilled requirements`);
+    });
+  }
+
+  /**
+   * Plan the graph without running it.  This returns a list of "waves", each of
+   * which contains nodes that could run in parallel once all previous waves have
+   * finished.  Each wave has shape `{nodes, locks}`, where `locks` maps the name of
+   * each lock used in the wave to `{capacity, requested, nodes}`, giving the total
+   * weight requested by the nodes in the wave that would contend for it, and those
+   * nodes.  If the renderer has a `plan` method, it is called with the waves.
+   */
+  plan(context={}) {
+    this._checkRequirements(context);
+    this._resetDownstreamCounts();
+
+    const waves = [];
+    const provided = new Set(Object.keys(context));
+    let remaining = this.nodes;
+    while (remaining.length) {
+      // optional requirements need only wait for providers that have not yet been planned
+      const unplanned = new Set(_.flatMap(remaining, ({task: {provides}}) => provides));
+      const ready = remaining.filter(({task: {requires, optionalRequires}}) =>
+        requires.every(k => provided.has(k)) && optionalRequires.every(k => provided.has(k) || !unplanned.has(k)));
+      const nodes = this.scheduler(ready, this);
+      assert(nodes.length, `Tasks ${remaining.map(n => n.task.title).join(', ')} can never run`);
+
+      const locks = {};
+      nodes.forEach(node => _.forEach(lockWeights(node.task), (weight, l) => {
+        if (!locks[l]) {
+          locks[l] = {capacity: this.locks[l].N, requested: 0, nodes: []};
+        }
+        locks[l].requested += weight;
+        locks[l].nodes.push(node);
+      }));
+
+      waves.push({nodes, locks});
+      nodes.forEach(({task: {provides}}) => provides.forEach(k => provided.add(k)));
+      remaining = remaining.filter(node => !nodes.includes(node));
+    }
+
+    this.renderer.plan(waves);
+
+    return waves;
+  }
+
+  /**
+   * Return the edges of the graph, as a list of `{from, to, keys}` giving the index
+   * (in this.nodes) of the providing and requiring nodes and the keys linking them.
+   * Requirements not provided by any node do not appear.
+   */
+  _edges() {
+    const providers = new Map();
+    this.nodes.forEach(({task: {provides}}, i) => provides.forEach(k => providers.set(k, i)));
+
+    const edges = [];
+    this.nodes.forEach(({task}, to) => {
+      const byProvider = new Map();
+      dependencyKeys(task).forEach(k => {
+        if (providers.has(k)) {
+          const from = providers.get(k);
+          byProvider.set(from, [...byProvider.get(from) || [], k]);
+        }
+      });
+      byProvider.forEach((keys, from) => edges.push({from, to, keys}));
+    });
+    return edges;
+  }
+
+  /**
+   * Return a label for a node in a graph export, including its locks.
+   */
+  _exportLabel({task}) {
+    const locks = describeLocks(task);
+    return locks.length ? `${task.title}\nlocks: ${locks.join(', ')}` : task.title;
+  }
+
+  /**
+   * Export the graph in Graphviz DOT format.  Nodes that have run are coloured by state.
+   */
+  toDot() {
+    const quote = str => `"${str.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n')}"`;
+    const lines = ['digraph taskgraph {'];
+    this.nodes.forEach((node, i) => {
+      const attrs = [`label=${quote(this._exportLabel(node))}`];
+      if (STATE_COLORS[node.state]) {
+        attrs.push('style=filled', `fillcolor=${quote(STATE_COLORS[node.state])}`);
+      }
+      lines.push(`  n${i} [${attrs.join(', ')}];`);
+    });
+    this._edges().forEach(({from, to, keys}) => {
+      lines.push(`  n${from} -> n${to} [label=${quote(keys.join(', '))}];`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Export the graph as a Mermaid flowchart.  Nodes that have run are coloured by state.
+   */
+  toMermaid() {
+    const quote = str => `"${str.replace(/"/g, '#quot;').replace(/\n/g, '<br>')}"`;
+    const lines = ['graph TD'];
+    this.nodes.forEach((node, i) => {
+      lines.push(`  n${i}[${quote(this._exportLabel(node))}]`);
+    });
+    this._edges().forEach(({from, to, keys}) => {
+      lines.push(`  n${from} -->|${quote(keys.join(', '))}| n${to}`);
+    });
+    const states = _.uniq(this.nodes.map(n => n.state).filter(state => STATE_COLORS[state]));
+    states.forEach(state => {
+      lines.push(`  classDef ${state} fill:${STATE_COLORS[state]}`);
+      const ids = this.nodes.map((n, i) => n.state === state ? `n${i}` : null).filter(id => id);
+      lines.push(`  class ${ids.join(',')} ${state}`);
+    });
+    return lines.join('\n') + '\n';
+  }
+
   /**
    * Run the graph.  This will return when all nodes in the graph are finished.
    * The optional `context` argument can be used to pre-populate some keys. It will
    * be modified in-place and returned.
    */
   async run(context={}) {
+    return this._run(context, {resume: !!this.resumeFrom});
+  }
+
+  /**
+   * Run the graph, then watch the files matching each task's `inputs` globs.  When
+   * any of them change, re-run the tasks using those files and everything downstream
+   * of them, along with any tasks that did not finish in the previous run.  This
+   * continues until the graph is cancelled, when it rejects with a CancelledError.
+   */
+  async watch(context={}) {
+    let stopped = false;
+    let wake = () => {};
+    this._stopWatching = () => {
+      stopped = true;
+      wake();
+    };
+    // as in run(), only the first SIGINT is handled, and a second terminates the process
+    const onSigint = () => this.cancel();
+    process.once('SIGINT', onSigint);
+
+    try {
+      let snapshot = this._snapshotInputs();
+      let rerun = this.nodes;
+      for (let cycle = 0; ; cycle++) {
+        if (cycle > 0) {
+          rerun.forEach(node => {
+            node.state = 'pending';
+            node.task.provides.forEach(k => delete context[k]);
+          });
+        }
+        try {
+          await this._run(context, {resume: cycle === 0 && !!this.resumeFrom});
+        } catch (err) {
+          // task failures have already been rendered, and may be fixed by the next change,
+          // but anything else (such as a missing requirement) ends the watch
+          if (!this.nodes.some(node => node.state === 'failed')) {
+            throw err;
+          }
+        }
+        if (stopped) {
+          throw new CancelledError();
+        }
+
+        this.renderer.waiting();
+        let changed = [];
+        while (!changed.length) {
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, this.watchInterval);
+            wake = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+          if (stopped) {
+            throw new CancelledError();
+          }
+          const next = this._snapshotInputs();
+          changed = this.nodes.filter(node => !_.isEqual(next.get(node), snapshot.get(node)));
+          snapshot = next;
+        }
+        const unfinished = this.nodes.filter(node => !DONE_STATES.has(node.state));
+        rerun = _.uniq([...this._downstream(changed), ...unfinished]);
+
+        // a task that runs again will add its tasks again, so remove those it added (and
+        // those they added in turn), re-running anything that depended on them
+        let added = [];
+        for (let more = this.nodes.filter(node => rerun.includes(node.addedBy)); more.length;) {
+          added = [...added, ...more];
+          more = this.nodes.filter(node => more.includes(node.addedBy));
+        }
+        rerun = this._downstream([...rerun, ...added]).filter(node => !added.includes(node));
+        added.forEach(node => node.task.provides.forEach(k => delete context[k]));
+        this.nodes = this.nodes.filter(node => !added.includes(node));
+      }
+    } finally {
+      process.removeListener('SIGINT', onSigint);
+      this._stopWatching = null;
+    }
+  }
+
+  /**
+   * Return a Map giving, for each node with `inputs`, an object mapping each file
+   * matching those globs to its modification time and size.
+   */
+  _snapshotInputs() {
+    const snapshot = new Map();
+    this.nodes.filter(node => node.task.inputs.length).forEach(node => {
+      const files = {};
+      node.task.inputs.forEach(pattern => glob.sync(pattern, {nodir: true}).forEach(file => {
+        try {
+          const {mtimeMs, size} = fs.statSync(file);
+          files[file] = `${mtimeMs}:${size}`;
+        } catch (err) {
+          // the file was deleted after it was matched
+        }
+      }));
+      snapshot.set(node, files);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Run the graph, resuming from the `resumeFrom` checkpoint if `resume` is true.
+   */
+  async _run(context, {resume}) {
     let firstError = null;
+    // with keepGoing, all task failures are collected here instead
+    const errors = [];
+    let refresh;
 
-    // now that we have the given context, check that all required values are provided
-    const provided = new Set(Object.keys(context));
-    this.nodes.forEach(({task: {provides}}) => provides.forEach(k => provided.add(k)));
-    this.nodes.forEach(({task}) => {
-      assert(task.requires.every(k => provided.has(k)), `Task ${task.title} has unfulfilled requirements`);
+    this._checkRequirements(context);
+    this._resetDownstreamCounts();
+
+    const started = Date.now();
+    this.summary = null;
+    this._finishedCount = 0;
+    this.nodes.forEach(node => {
+      node.timings = makeTimings();
+    });
+
+    // the graph-wide abort controller fires on first failure, on SIGINT, on cancel(),
+    // or on timeout; in the latter cases its reason is the error for the run
+    this._abortController = new AbortController();
+    const graphSignal = this._abortController.signal;
+    graphSignal.addEventListener('abort', () => {
+      if (!firstError) {
+        firstError = graphSignal.reason;
+      }
+      // refresh is only undefined if the abort occurred before the run started
+      if (refresh) {
+        refresh();
+      }
     });
+    const onSigint = () => this.cancel();
+    process.once('SIGINT', onSigint);
+
+    let graphTimer;
+    if (this.timeout) {
+      graphTimer = setTimeout(() => this._abortController.abort(
+        new TimeoutError(null, Date.now() - started)), this.timeout);
+    }
 
     this.renderer.start(this.nodes);
 
+    if (resume) {
+      this._resume(context);
+    }
+
+    // optional requirements are available once provided, or once every task that might
+    // provide them is done
+    const requirementsAvailable = ({task: {requires, optionalRequires}}) =>
+      requires.every(k => k in context) && optionalRequires.every(k => k in context ||
+        this.nodes.every(n => !n.task.provides.includes(k) || FINAL_STATES.has(n.state)));
+
+    const locksAvailable = node => _.every(lockWeights(node.task), (weight, l) => this.locks[l].available(weight));
+
     const nodeCanStart = node => {
       if (node.state !== 'pending') {
         return false;
       }
 
-      if (!node.task.requires.every(k => k in context)) {
+      if (!requirementsAvailable(node)) {
+        return false;
+      }
+
+      if (this.nodes.filter(n => n.state === 'running').length >= this.concurrency) {
         return false;
       }
 
-      if (!node.task.locks.every(l => this.locks[l].available())) {
+      if (!locksAvailable(node)) {
         return false;
       }
 
       return true;
     };
 
+    // an error writing the final checkpoint fails an otherwise-successful run
+    let checkpointError = null;
     try {
       await new Promise((resolve, reject) => {
-        const refresh = () => {
+        refresh = this._refresh = () => {
           let pendingCount = 0;
 
           // if an error has occurred, wait until there are no tasks running, then
@@ -104,57 +810,441 @@ class TaskGraph {
             return;
           }
 
-          this.nodes.forEach(node => {
+          if (this.keepGoing) {
+            this._markBlocked();
+          }
+
+          // a node that becomes ready and starts in the same refresh has not waited at all
+          const now = Date.now();
+          this.scheduler(this.nodes.filter(node => node.state === 'pending'), this).forEach(node => {
+            if (!node.timings.ready && node.state === 'pending' && requirementsAvailable(node)) {
+              node.timings.ready = now;
+            }
+            // only time spent waiting for locks counts as lock wait, not time spent waiting for the
+            // concurrency limit or for other nodes to start first; locks only change between refreshes
+            if (node.timings.ready && node.state === 'pending') {
+              const locked = !locksAvailable(node);
+              if (locked && !node.timings.lockedSince) {
+                node.timings.lockedSince = now;
+              } else if (!locked && node.timings.lockedSince) {
+                node.timings.lockWait += now - node.timings.lockedSince;
+                node.timings.lockedSince = null;
+              }
+            }
             if (nodeCanStart(node)) {
-              this._runNode(node, context).catch(err => {
-                if (!firstError) {
+              this._runNode(node, context, now).catch(err => {
+                if (node.state === 'failed') {
                   // edit the message and stack to include a reference to the failing task.  Edit the stack
                   // first since it is derived on first access from message
                   err.stack = err.stack.replace(/(^.*)\n/, `$1 (while executing task ${node.task.title})\n`);
                   err.message = err.message.replace(/(^.*)/, `$1 (while executing task ${node.task.title})`);
+                }
+                if (this.keepGoing && !firstError) {
+                  errors.push(err);
+                } else if (!firstError) {
                   firstError = err;
+                  // ask any other running tasks to stop
+                  this._abortController.abort();
                 }
               }).then(refresh);
             }
           });
-          if (Object.values(this.nodes).every(n => n.state === 'finished' || n.state === 'skipped')) {
+          if (Object.values(this.nodes).every(n => DONE_STATES.has(n.state))) {
             resolve();
+          } else if (Object.values(this.nodes).every(n => FINAL_STATES.has(n.state)) &&
+            errors.length === this.nodes.filter(n => n.state === 'failed').length) {
+            // only possible with keepGoing, when some tasks have failed; a task whose `when` predicate
+            // throws fails synchronously, so wait until its error has been collected
+            const failures = errors.map(err => `\n  ${err.message.split('\n')[0]}`).join('');
+            reject(new AggregateError(errors, `${errors.length} tasks failed:${failures}`));
           }
         };
         refresh();
       });
     } finally {
+      clearTimeout(graphTimer);
+      process.removeListener('SIGINT', onSigint);
+      this._abortController = null;
+      this._refresh = null;
+      try {
+        this._writeCheckpoint(context);
+      } catch (err) {
+        checkpointError = err;
+      }
+      this.summary = this._summarize(started);
+      this.renderer.summary(this.summary);
       this.renderer.stop();
     }
 
+    if (checkpointError) {
+      throw checkpointError;
+    }
     return context;
   }
 
-  async _runNode(node, context) {
-    const {task} = node;
-
-    const utils = {};
-    utils.waitFor = value => {
-      if (isStream(value)) {
-        value = streamToLoggingObservable(value);
-      }
+  /**
+   * Summarize the timings of the run that started at the given time.  All times are
+   * in milliseconds.
+   */
+  _summarize(started) {
+    const finished = Date.now();
+    // tasks restored from the cache did not run, so they are not included
+    const tasks = this.nodes.filter(node => node.timings.started && node.state !== 'cached').map(node => {
+      const {timings} = node;
+      return {
+        title: node.task.title,
+        state: node.state,
+        started: timings.started,
+        finished: timings.finished,
+        duration: timings.finished - timings.started,
+        requirementsWait: timings.ready - started,
+        lockWait: timings.lockWait,
+      };
+    });
 
-      if (isObservable(value)) {
-        value = new Promise((resolve, reject) => {
-          value.subscribe({
-            next: data => this.renderer.update(node, 'log', data),
-            complete: resolve,
-            error: reject,
-          });
-        });
-      }
+    // the critical path ends at the last node to finish, and each node on it was
+    // preceded by the last of its dependencies to finish
+    const criticalPath = [];
+    const providers = new Map();
+    this.nodes.forEach(node => node.task.provides.forEach(k => providers.set(k, node)));
+    const lastFinished = nodes => _.maxBy(nodes.filter(node => node.timings.finished), node => node.timings.sequence);
+    let node = lastFinished(this.nodes);
+    while (node) {
+      criticalPath.unshift(node.task.title);
+      node = lastFinished(dependencyKeys(node.task).filter(k => providers.has(k)).map(k => providers.get(k)));
+    }
 
-      if (isPromise(value)) {
-        return value.then(utils.waitFor);
-      }
-      
-      return value;
-    };
+    return {started, finished, duration: finished - started, tasks, criticalPath};
+  }
+
+  /**
+   * Write the `checkpoint` file, if configured, recording the state and definition
+   * of each node and the JSON-serializable values in the context.
+   */
+  _writeCheckpoint(context) {
+    if (!this.checkpoint) {
+      return;
+    }
+    const checkpoint = {
+      tasks: _.fromPairs(this.nodes.map(({state, task}) => [task.title, {state, hash: taskHash(task)}])),
+      context: _.pickBy(context, isJSONSerializable),
+    };
+    // write and rename, so that an interrupted write does not destroy the previous checkpoint
+    try {
+      fs.writeFileSync(`${this.checkpoint}.tmp`, JSON.stringify(checkpoint, null, 2));
+      fs.renameSync(`${this.checkpoint}.tmp`, this.checkpoint);
+    } catch (err) {
+      err.message = `Could not write checkpoint ${this.checkpoint}: ${err.message}`;
+      throw err;
+    }
+  }
+
+  /**
+   * Resume from the `resumeFrom` checkpoint file, if it exists.  A node is resumed if it
+   * was done in the checkpoint, its definition has not changed, all of its provided
+   * values were saved, and everything it requires was provided by resumed nodes (or
+   * the initial context).  Resumed nodes' values are added to the context.
+   */
+  _resume(context) {
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(fs.readFileSync(this.resumeFrom, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+
+    const providers = new Map();
+    this.nodes.forEach(node => node.task.provides.forEach(k => providers.set(k, node)));
+    const resumed = new Set();
+    const canResume = ({task}) => {
+      const saved = checkpoint.tasks[task.title];
+      return saved && DONE_STATES.has(saved.state) && saved.hash === taskHash(task) &&
+        task.provides.every(k => k in checkpoint.context) &&
+        dependencyKeys(task).every(k => !providers.has(k) || resumed.has(providers.get(k)));
+    };
+    for (let changed = true; changed;) {
+      const more = this.nodes.filter(node => !resumed.has(node) && canResume(node));
+      more.forEach(node => resumed.add(node));
+      changed = more.length > 0;
+    }
+
+    resumed.forEach(node => {
+      node.task.provides.forEach(k => context[k] = checkpoint.context[k]);
+      node.state = 'resumed';
+      this.renderer.update(node, 'state', 'resumed');
+    });
+  }
+
+  /**
+   * Mark as blocked every pending node that requires a value which will never be
+   * provided, because its provider failed or was itself blocked.
+   */
+  _markBlocked() {
+    const unavailable = new Set();
+    this.nodes.forEach(({state, task: {provides}}) => {
+      if (state === 'failed' || state === 'blocked') {
+        provides.forEach(k => unavailable.add(k));
+      }
+    });
+
+    // iterate until a fixed point, as blocking a node makes its provides unavailable
+    let lastSize = -1;
+    while (lastSize !== unavailable.size) {
+      lastSize = unavailable.size;
+      this.nodes.forEach(node => {
+        if (node.state === 'pending' && node.task.requires.some(k => unavailable.has(k))) {
+          node.state = 'blocked';
+          this.renderer.update(node, 'state', 'blocked');
+          node.task.provides.forEach(k => unavailable.add(k));
+        }
+      });
+    }
+  }
+
+  /**
+   * Return an async iterator over the events of the next run of this graph, ending
+   * after its `stop` event.  Events are buffered until consumed.
+   */
+  events() {
+    const queue = [];
+    let wake = null;
+    const listeners = _.fromPairs(EVENT_TYPES.map(type => [type, (...args) => {
+      queue.push(makeEvent(type, args));
+      if (wake) {
+        wake();
+      }
+    }]));
+    _.forEach(listeners, (listener, type) => this.on(type, listener));
+    const cleanup = () => _.forEach(listeners, (listener, type) => this.removeListener(type, listener));
+
+    return (async function* () {
+      try {
+        for (;;) {
+          while (queue.length) {
+            const event = queue.shift();
+            yield event;
+            if (event.type === 'stop') {
+              return;
+            }
+          }
+          await new Promise(resolve => wake = resolve);
+          wake = null;
+        }
+      } finally {
+        cleanup();
+      }
+    })();
+  }
+
+  /**
+   * Cancel a running graph.  Running tasks are signalled via `utils.signal`, no
+   * further tasks are started, and `run` rejects with a `CancelledError` once
+   * all running tasks have stopped.  A graph in `watch` stops watching, and `watch`
+   * rejects with a `CancelledError`.  This does nothing if the graph is not running.
+   */
+  cancel() {
+    if (this._abortController) {
+      this._abortController.abort(new CancelledError());
+    }
+    if (this._stopWatching) {
+      this._stopWatching();
+    }
+  }
+
+  /**
+   * Calculate the cache key for running the given task with the given requirements, or
+   * return null if the task's results cannot be cached.
+   */
+  _cacheKey(task, requirements) {
+    let input;
+    if (task.cacheKey) {
+      input = task.cacheKey(requirements);
+    } else if (task.cache && isJSONSerializable(requirements)) {
+      input = requirements;
+    } else {
+      return null;
+    }
+    return crypto.createHash('sha256').update(JSON.stringify([taskHash(task), input])).digest('hex');
+  }
+
+  /**
+   * Add tasks to a running graph on behalf of `parent`, subject to the same validation as
+   * in the constructor.  The new tasks' requirements must be provided by the context or by
+   * another task.
+   */
+  _addTasks(tasks, context, parent) {
+    const nodes = tasks.map(makeNode);
+    const problems = this._validate([...this.nodes, ...nodes]);
+    const provided = new Set(Object.keys(context));
+    [...this.nodes, ...nodes].forEach(({task: {provides}}) => provides.forEach(k => provided.add(k)));
+    nodes.forEach(({task}) => task.requires.filter(k => !provided.has(k)).forEach(key => {
+      problems.push({
+        type: 'unprovided-requirement',
+        message: `Task ${task.title} requires ${key}, which is not provided by any task or by the context`,
+        task: task.title,
+        key,
+      });
+    }));
+    if (problems.length) {
+      throw new GraphValidationError(problems);
+    }
+
+    nodes.forEach(node => {
+      node.timings = makeTimings();
+      // remember the parent, so that watch can remove these nodes before it runs again
+      node.addedBy = parent;
+      this.nodes.push(node);
+    });
+    this._resetDownstreamCounts();
+    this.renderer.add(nodes);
+    this._refresh();
+  }
+
+  /**
+   * Log a line of output from the given node, writing it to the node's log file, if
+   * any, and passing it to the renderer.  The source, if known, is `stdout` or `stderr`.
+   */
+  _log(node, line, source) {
+    if (node.logFd !== undefined) {
+      fs.writeSync(node.logFd, `${line.toString().replace(/\n$/, '')}\n`);
+    }
+    this.renderer.update(node, 'log', line, source);
+  }
+
+  /**
+   * Run an isolated task's module in a worker thread or a child process.  Its calls to
+   * `utils` and its output are passed back over the message channel, and it is
+   * terminated when it finishes or when `utils.signal` is aborted.
+   */
+  _runIsolated(node, requirements, utils) {
+    const {task} = node;
+    return new Promise((resolve, reject) => {
+      const data = {isolatedTask: {module: task.module, requirements}};
+      let child;
+      if (task.isolate === 'worker') {
+        child = new Worker(__filename, {workerData: data, stdout: true, stderr: true});
+      } else {
+        child = fork(__filename, [], {silent: true, serialization: 'advanced'});
+        try {
+          child.send(data);
+        } catch (err) {
+          // the requirements could not be cloned
+          child.kill();
+          throw err;
+        }
+      }
+      const output = waitForOutput({stdout: child.stdout, stderr: child.stderr},
+        (line, source) => this._log(node, line, source)).catch(() => {});
+
+      // output may still be in flight when the child's result arrives, so once the child
+      // is stopped, wait for its output to drain before settling (unless aborted)
+      const settle = (callback, value, drain=false) => {
+        utils.signal.removeEventListener('abort', onAbort);
+        child.removeAllListeners('exit');
+        child.removeAllListeners('message');
+        if (task.isolate === 'worker') {
+          child.terminate();
+        } else {
+          child.kill();
+        }
+        if (drain) {
+          output.then(() => callback(value));
+        } else {
+          callback(value);
+        }
+      };
+      const onAbort = () => settle(reject, utils.signal.reason);
+      utils.signal.addEventListener('abort', onAbort);
+
+      child.on('message', message => {
+        if (message.type === 'call') {
+          try {
+            utils[message.name](...message.args);
+          } catch (err) {
+            settle(reject, err);
+          }
+        } else if (message.type === 'line') {
+          this._log(node, message.line, message.source);
+        } else if (message.type === 'result') {
+          settle(resolve, message.result, true);
+        } else if (message.type === 'error') {
+          settle(reject, Object.assign(new Error(), message.error), true);
+        }
+      });
+      child.on('error', err => settle(reject, err));
+      child.on('exit', code => settle(reject, new Error(`Isolated task exited unexpectedly with code ${code}`)));
+    });
+  }
+
+  /**
+   * Build the `utils` argument for a single attempt at running the given node.
+   */
+  _makeUtils(node, signal, context) {
+    const utils = {};
+    utils.signal = signal;
+
+    utils.addTasks = tasks => this._addTasks(tasks, context, node);
+
+    utils.runSubgraph = async (tasks, options={}) => {
+      // this task holds its locks while the subgraph runs, so a subgraph task needing more
+      // than the rest of one of those locks could never start
+      const held = lockWeights(node.task);
+      const problems = [];
+      tasks.forEach(task => _.forEach(lockWeights(task), (weight, lock) => {
+        // locks in options.locks belong to the subgraph alone
+        if (!(lock in held) || options.locks && lock in options.locks) {
+          return;
+        }
+        const remaining = this.locks[lock].N - held[lock];
+        if (weight > remaining) {
+          problems.push({
+            type: 'lock-weight',
+            message: `Task ${task.title} uses ${weight} of lock ${lock}, but only ${remaining} remain while ` +
+              `${node.task.title} holds it`,
+            task: task.title,
+            lock,
+            weight,
+          });
+        }
+      }));
+      if (problems.length) {
+        throw new GraphValidationError(problems);
+      }
+
+      const subgraph = new TaskGraph(tasks, {
+        concurrency: this.concurrency,
+        cache: this.cache,
+        logDirectory: this.logDirectory,
+        logLevel: this.logLevel,
+        scheduler: this.scheduler,
+        ...options,
+        locks: {...this.locks, ...options.locks},
+        renderer: new SubgraphRenderer(this.renderer, node),
+      });
+
+      // cancel the subgraph when this task is cancelled
+      if (signal.aborted) {
+        throw new CancelledError();
+      }
+      const onAbort = () => subgraph.cancel();
+      signal.addEventListener('abort', onAbort);
+      try {
+        const result = await subgraph.run(_.pick(context, dependencyKeys(node.task)));
+        return _.pick(result, node.task.provides);
+      } finally {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    utils.waitFor = (value, {onLine}={}) => waitForOutput(value, (line, source) => {
+      this._log(node, line, source);
+      if (onLine) {
+        onLine(line, source);
+      }
+    });
 
     utils.skip = ({provides, reason}={}) => {
       node.state = 'skipped';
@@ -171,216 +1261,814 @@ class TaskGraph {
       this.renderer.update(node, 'step', {title});
     };
 
-    node.state = 'running';
-    this.renderer.update(node, 'state', 'running');
+    utils.log = (level, message, fields={}) => {
+      assert(LOG_LEVELS.includes(level), `Unknown log level ${level}`);
+      const entry = {level, message, fields};
+      if (node.logFd !== undefined) {
+        fs.writeSync(node.logFd, `${formatLogEntry(entry)}\n`);
+      }
+      if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.logLevel)) {
+        this.renderer.update(node, 'logEntry', entry);
+      }
+    };
+
+    return utils;
+  }
+
+  /**
+   * Acquire all of the locks for the given node, waiting for any that are not
+   * available.  When all locks are available, this acquires them synchronously.
+   * Returns false, without acquiring any locks, if `signal` is aborted while waiting.
+   */
+  async _acquireLocks(node, signal) {
+    let started = null;
+    const weights = lockWeights(node.task);
+    for (;;) {
+      const unavailable = _.findKey(weights, (weight, l) => !this.locks[l].available(weight));
+      if (!unavailable) {
+        break;
+      }
+      started = started || Date.now();
+      await new Promise(resolve => {
+        signal.addEventListener('abort', resolve, {once: true});
+        this.locks[unavailable].released().then(() => {
+          signal.removeEventListener('abort', resolve);
+          resolve();
+        });
+      });
+      if (signal.aborted) {
+        node.timings.lockWait += Date.now() - started;
+        return false;
+      }
+    }
+    if (started) {
+      node.timings.lockWait += Date.now() - started;
+    }
+    _.forEach(weights, (weight, l) => this.locks[l].acquire(weight));
+    return true;
+  }
+
+  /**
+   * Run the given node, which `refresh` decided to start at time `started`.
+   */
+  async _runNode(node, context, started) {
+    const {task} = node;
+    const abortController = this._abortController;
+    const graphSignal = abortController.signal;
+
+    // once a node is done, failing to write the checkpoint fails the run, but not the node
+    const writeCheckpoint = () => {
+      try {
+        this._writeCheckpoint(context);
+      } catch (err) {
+        abortController.abort(err);
+      }
+    };
+
+    const markFinished = () => {
+      node.timings.finished = Date.now();
+      // finish times may be equal, so also record the order of finishing
+      node.timings.sequence = this._finishedCount++;
+      if (node.logFd !== undefined) {
+        fs.closeSync(node.logFd);
+        delete node.logFd;
+      }
+    };
+
+    const cancel = err => {
+      markFinished();
+      node.state = 'cancelled';
+      this.renderer.update(node, 'state', 'cancelled');
+      throw err;
+    };
+
+    const fail = err => {
+      markFinished();
+      node.state = 'failed';
+      this.renderer.update(node, 'state', 'failed');
+      this.renderer.update(node, 'fail', err);
+      throw err;
+    };
+
+    const requirements = {};
+    task.requires.forEach(k => requirements[k] = context[k]);
+    // missing optional requirements are left out, so they are undefined
+    task.optionalRequires.filter(k => context[k] !== undefined).forEach(k => requirements[k] = context[k]);
+
+    // the `when` predicate is checked synchronously, before the node leaves the pending state
+    if (task.when) {
+      let wanted;
+      try {
+        wanted = task.when(requirements);
+      } catch (err) {
+        fail(err);
+      }
+      if (!wanted) {
+        task.provides.forEach(k => context[k] = undefined);
+        markFinished();
+        node.state = 'skipped';
+        this.renderer.update(node, 'state', 'skipped');
+        this.renderer.update(node, 'skip', 'condition not met');
+        writeCheckpoint();
+        return;
+      }
+    }
+
+    if (this.logDirectory) {
+      fs.mkdirSync(this.logDirectory, {recursive: true});
+      node.logFile = path.join(this.logDirectory, logFileName(node));
+      node.logFd = fs.openSync(node.logFile, 'w');
+    }
+
+    node.state = 'running';
+    node.timings.started = started;
+    this.renderer.update(node, 'state', 'running');
+
+    const releaseLocks = () => _.forEach(lockWeights(task), (weight, l) => this.locks[l].release(weight));
+
+    // the locks are available (see nodeCanStart), so this takes them synchronously, before
+    // the cache lookup gives other nodes sharing the locks a chance to start
+    await this._acquireLocks(node, graphSignal);
+
+    let cacheKey = null;
+    if (this.cache) {
+      try {
+        cacheKey = this._cacheKey(task, requirements);
+        const cached = cacheKey && await this.cache.get(cacheKey);
+        if (cached && _.isEqual(Object.keys(cached).sort(), [...task.provides].sort())) {
+          releaseLocks();
+          Object.assign(context, cached);
+          markFinished();
+          node.state = 'cached';
+          this.renderer.update(node, 'state', 'cached');
+          writeCheckpoint();
+          return;
+        }
+      } catch (err) {
+        releaseLocks();
+        fail(err);
+      }
+    }
+
+    let result;
+    for (let attempt = 1; ; attempt++) {
+      if (attempt > 1 && !await this._acquireLocks(node, graphSignal)) {
+        cancel(new CancelledError(`Task ${task.title} was cancelled before it could be retried`));
+      }
+
+      // the graph may have been aborted during the cache lookup, or just as the locks were acquired
+      if (graphSignal.aborted) {
+        releaseLocks();
+        cancel(new CancelledError(
+          `Task ${task.title} was cancelled before it could ${attempt > 1 ? 'be retried' : 'start'}`));
+      }
+
+      // each attempt gets its own controller, aborted when the graph's controller is.  A
+      // timeout also aborts the controller, but fails the attempt even if the task ignores that.
+      const controller = new AbortController();
+      const started = Date.now();
+      let timeOut;
+      const timedOut = new Promise((resolve, reject) => {
+        timeOut = () => {
+          const err = new TimeoutError(task.title, Date.now() - started);
+          controller.abort(err);
+          reject(err);
+        };
+      });
+      const timer = task.timeout ? setTimeout(timeOut, task.timeout) : undefined;
+      const onAbort = () => graphSignal.reason instanceof TimeoutError ? timeOut() : controller.abort();
+      graphSignal.addEventListener('abort', onAbort);
+      if (graphSignal.aborted) {
+        // the abort event has already fired, so start with the controller aborted
+        onAbort();
+      }
+
+      try {
+        const utils = this._makeUtils(node, controller.signal, context);
+        const running = task.isolate ? this._runIsolated(node, requirements, utils) : task.run(requirements, utils);
+        result = await Promise.race([running, timedOut]);
+        break;
+      } catch (err) {
+        if (controller.signal.reason instanceof TimeoutError) {
+          err = controller.signal.reason;
+        } else if (controller.signal.aborted &&
+          (err.name === 'AbortError' || err instanceof CancelledError || err === controller.signal.reason)) {
+          // a task that stops in response to its signal was cancelled, not failed
+          cancel(err);
+        }
+        if (graphSignal.aborted || attempt > task.retries || !task.retryOn(err)) {
+          fail(err);
+        }
+        if (node.logFd !== undefined) {
+          fs.writeSync(node.logFd, `--- attempt ${attempt} failed: ${err}; retrying ---\n`);
+        }
+        this.renderer.update(node, 'retry', {attempt: attempt + 1, retries: task.retries, error: err});
+      } finally {
+        clearTimeout(timer);
+        graphSignal.removeEventListener('abort', onAbort);
+        // a timed-out attempt that ignores its signal may never finish, so it does not keep the locks
+        releaseLocks();
+      }
+
+      // other tasks may be able to start with the released locks
+      this._refresh();
+
+      // back off before the next attempt, unless the graph is aborted in the interim
+      const delay = typeof task.backoff === 'function' ? task.backoff(attempt) : task.backoff * 2 ** (attempt - 1);
+      await new Promise(resolve => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          graphSignal.removeEventListener('abort', onAbort);
+          resolve();
+        }, delay);
+        graphSignal.addEventListener('abort', onAbort, {once: true});
+      });
+      if (graphSignal.aborted) {
+        cancel(new CancelledError(`Task ${task.title} was cancelled before it could be retried`));
+      }
+    }
+
+    // as a convenience, provide a single value as a simple 'true'
+    try {
+      if (!result) {
+        assert(task.provides.length <= 1,
+          `Task ${task.title} provides multiple results, but did not return any values`);
+        result = task.provides.length === 1 ? {[task.provides[0]]: true} : {};
+      }
+
+      // check that the step provided what was expected
+      Object.keys(result).forEach(key => {
+        assert(!(key in context), `Task ${task.title} provided ${key}, but it has already been provided`);
+        assert(task.provides.indexOf(key) !== -1, `Task ${task.title} provided unexpected ${key}`);
+      });
+      task.provides.forEach(key => {
+        assert(key in result, `Task ${task.title} did not provide expected ${key}`);
+      });
+      _.forEach(task.validate, (validator, key) => {
+        const mismatch = checkValue(key, result[key], validator);
+        if (mismatch) {
+          throw new InvalidValueError(task.title, key, mismatch);
+        }
+      });
+      Object.assign(context, result);
+
+      if (cacheKey && node.state !== 'skipped' && isJSONSerializable(result)) {
+        await this.cache.set(cacheKey, result);
+      }
+    } catch (err) {
+      fail(err);
+    }
+
+    markFinished();
+    if (node.state !== 'skipped') {
+      node.state = 'finished';
+      this.renderer.update(node, 'state', 'finished');
+    }
+    writeCheckpoint();
+  }
+}
+
+module.exports.TaskGraph = TaskGraph;
+
+class ConsoleRenderer {
+  constructor(options) {
+    this.progressBar = unicodeProgress({width: 30});
+    this.options = options || {};
+  }
+
+  start(nodes) {
+    this.nodes = [...nodes];
+    // nodes are only displayed when they are running or finished; in watch mode, nodes
+    // from earlier runs stay displayed until they are run again
+    if (this.waitingForChanges) {
+      const rerun = this.nodes.filter(n => n.state === 'pending');
+      rerun.forEach(node => ['attempt', 'subnodes', 'steps', 'output', 'message', 'progress', 'warnings',
+        'logTail', 'skipReason'].forEach(prop => delete node[prop]));
+      this.displayed = this.displayed.filter(n => !rerun.includes(n));
+    } else {
+      this.displayed = [];
+    }
+    this.waitingForChanges = false;
+    this.interval = setInterval(() => this.render(), spinner.interval);
+  }
+
+  add(nodes) {
+    this.nodes.push(...nodes);
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.render();
+
+    if (this.lastSummary) {
+      // keep the final frame, and print below it
+      logUpdate.done();
+      const [title, header, ...rest] = formatSummary(this.lastSummary);
+      console.log([chalk.cyanBright(title), chalk.bold(header), ...rest].join('\n'));
+      this.lastSummary = null;
+    }
+  }
+
+  waiting() {
+    this.waitingForChanges = true;
+    this.render();
+  }
+
+  summary(summary) {
+    // the summary is printed below the final frame, in stop()
+    if (this.options.summary) {
+      this.lastSummary = summary;
+    }
+  }
+
+  plan(waves) {
+    const output = [];
+    waves.forEach(({nodes, locks}, i) => {
+      output.push(chalk.cyanBright(`Wave ${i + 1}`));
+      nodes.forEach(node => {
+        const nodeLocks = _.map(lockWeights(node.task), (weight, l) => {
+          const desc = weight === 1 ? l : `${l} (${weight})`;
+          const contended = locks[l].requested > locks[l].capacity;
+          return contended ? chalk.yellow(`${desc} (contended)`) : desc;
+        });
+        const lockrep = nodeLocks.length ? ` ${chalk.gray('locks:')} ${nodeLocks.join(', ')}` : '';
+        output.push(` ${chalk.cyan(figures.pointer)} ${chalk.bold(node.task.title)}${lockrep}`);
+      });
+    });
+    console.log(output.join('\n'));
+  }
+
+  update(node, change, value, source) {
+    if (change === 'state') {
+      // blocked, resumed, and some skipped nodes never run, but are worth showing
+      if (['running', 'blocked', 'resumed', 'skipped'].includes(value)) {
+        if (value === 'running') {
+          node.started = new Date().getTime();
+        }
+        // subgraph nodes are displayed under their parent
+        if (node.parent) {
+          node.parent.subnodes = node.parent.subnodes || [];
+        }
+        const displayed = node.parent ? node.parent.subnodes : this.displayed;
+        if (!displayed.includes(node)) {
+          displayed.push(node);
+        }
+      }
+    } else if (change === 'step') {
+      if (!node.steps) {
+        node.steps = [];
+      }
+      delete node.output;
+      delete node.message;
+      delete node.progress;
+      node.steps.push(value);
+    } else if (change === 'log') {
+      if (!node.output) {
+        node.output = [];
+      }
+      node.output.push({line: value.toString().trimRight(), source});
+      node.output = node.output.slice(-4);
+    } else if (change === 'logEntry') {
+      if (value.level === 'warn' || value.level === 'error') {
+        // warnings are kept for the life of the display, rather than scrolling away
+        node.warnings = node.warnings || [];
+        node.warnings.push(value);
+      } else {
+        node.output = node.output || [];
+        node.output.push({line: formatLogEntry(value)});
+        node.output = node.output.slice(-4);
+      }
+    } else if (change === 'retry') {
+      // start the display over for the new attempt
+      node.attempt = value;
+      delete node.subnodes;
+      delete node.steps;
+      delete node.output;
+      delete node.message;
+      delete node.progress;
+    } else if (change === 'skip') {
+      node.skipReason = value;
+    } else if (change === 'status') {
+      if (value.message) {
+        node.message = value.message;
+      }
+      if (value.progress !== undefined) {
+        node.progress = value.progress;
+      }
+    } else if (change === 'fail') {
+      node.message = failureReason(value);
+      // prefer the task's log file, if any, to any output carried by the error
+      node.logTail = node.logFile ?
+        readLogTail(node.logFile, this.options.logTail) :
+        outputTail(value, this.options.logTail);
+      // force a re-render since we will likely terminate soon (it is already
+      // marked with status='fail')
+      this.render();
+    }
+  }
+
+  render() {
+    const now = new Date().getTime();
+    let logoutput = [];
+
+    let displayed = this.displayed;
+    if (this.options.elideCompleted) {
+      // omit completed tasks
+      displayed = displayed.filter(n => !DONE_STATES.has(n.state));
+      const omitted = this.displayed.length - displayed.length;
+      if (omitted) {
+        logoutput.push(chalk.cyanBright(`... ${omitted} completed tasks`));
+      }
+    }
+
+    displayed.forEach(node => logoutput.push(this.renderNode(node, now)));
+
+    const numFinished = this.displayed.filter(n => n.state !== 'running').length;
+    const pctFinished = Math.trunc(100 * numFinished / Object.keys(this.nodes).length);
+    const progress = chalk.cyanBright(`${pctFinished}% finished`);
+    logoutput.push(progress);
+    if (this.waitingForChanges) {
+      logoutput.push(chalk.cyanBright(`${figures.ellipsis} waiting for changes`));
+    }
+
+    logUpdate(logoutput.join('\n'));
+  }
+
+  /**
+   * Render a single node, and any subgraph nodes under it, returning a string.
+   */
+  renderNode(node, now) {
+    let noderep = [];
+
+    if (node.state === 'running') {
+      const frameidx = Math.trunc((now - node.started) / spinner.interval) % spinner.frames.length;
+      const frame = chalk.yellow(spinner.frames[frameidx]);
+      const attempt = node.attempt ?
+        chalk.yellow(` (attempt ${node.attempt.attempt}/${node.attempt.retries + 1})`) : '';
+      noderep.push(`${frame} ${chalk.bold(node.task.title)}${attempt}`);
+
+      // show previous and current steps
+      if (node.steps) {
+        const last = node.steps.length - 1;
+        node.steps.forEach((step, i) => {
+          const title = chalk.bold(cliTruncate(step.title, process.stdout.columns - 4));
+          noderep.push(` ${i === last ? frame : logSymbols.success} ${title}`);
+        });
+      }
+
+      // render the node output, if any
+      if (node.output) {
+        const lines = node.output.map(({line, source}) => {
+          const logged = stripAnsi(cliTruncate(line, process.stdout.columns - 4));
+          if (source === 'stderr') {
+            return ` ${chalk.red(figures.arrowRight)} ${chalk.red(logged)}`;
+          }
+          return ` ${chalk.cyan(figures.arrowRight)} ${logged}`;
+        });
+        noderep.push(`${lines.join('\n')}`);
+      }
+
+      // build a status line..
+      let statusline = [];
+      if ('progress' in node) {
+        statusline.push(chalk.magenta.bgBlue(this.progressBar(node.progress)));
+      }
+      if (node.message) {
+        let width = process.stdout.columns - 4;
+        if ('progress' in node) {
+          width -= 31;
+        }
+        statusline.push(`${chalk.bold(cliTruncate(node.message, width))}`);
+      }
+      if (statusline.length) {
+        noderep.push(` ${chalk.cyan(figures.info)} ` + statusline.join(' '));
+      }
+
+    } else if (node.state === 'skipped') {
+      noderep.push(`${logSymbols.info} ${chalk.bold(node.task.title)} (${node.skipReason || 'skipped'})`);
+    } else if (node.state === 'cached') {
+      noderep.push(`${logSymbols.info} ${chalk.bold(node.task.title)} (cached)`);
+    } else if (node.state === 'resumed') {
+      noderep.push(`${logSymbols.info} ${chalk.bold(node.task.title)} (resumed)`);
+    } else if (node.state === 'blocked') {
+      noderep.push(`${chalk.gray(figures.circleCross)} ${chalk.bold(node.task.title)} (blocked)`);
+    } else if (node.state === 'cancelled') {
+      noderep.push(`${logSymbols.warning} ${chalk.bold(node.task.title)} (cancelled)`);
+    } else if (node.state === 'failed') {
+      const msg = node.message ? ` (${node.message})` : '';
+      noderep.push(`${logSymbols.error} ${chalk.bold(node.task.title)}${msg}`);
+
+      // show the end of the task's log, if it was captured
+      if (node.logTail) {
+        node.logTail.forEach(line => {
+          const logged = stripAnsi(cliTruncate(line, process.stdout.columns - 4));
+          noderep.push(` ${chalk.gray(figures.arrowRight)} ${chalk.gray(logged)}`);
+        });
+        if (node.logFile) {
+          noderep.push(` ${chalk.gray(`full log: ${node.logFile}`)}`);
+        }
+      }
+    } else {
+      noderep.push(`${logSymbols.success} ${chalk.bold(node.task.title)}`);
+    }
+
+    // show the node's warnings just below its title
+    if (node.warnings) {
+      const warnings = node.warnings.map(entry => {
+        const logged = stripAnsi(cliTruncate(formatLogEntry(entry), process.stdout.columns - 4));
+        return entry.level === 'error' ?
+          ` ${chalk.red(figures.cross)} ${chalk.red(logged)}` :
+          ` ${chalk.yellow(figures.warning)} ${chalk.yellow(logged)}`;
+      });
+      noderep.splice(1, 0, ...warnings);
+    }
+
+    // show subgraph nodes indented below the node, collapsing them once it succeeds
+    if (node.subnodes && !DONE_STATES.has(node.state)) {
+      let subnodes = node.subnodes;
+      if (this.options.elideCompleted) {
+        subnodes = subnodes.filter(n => !DONE_STATES.has(n.state));
+      }
+      subnodes.forEach(subnode => {
+        noderep.push(this.renderNode(subnode, now).replace(/^/gm, '  '));
+      });
+    }
+
+    return noderep.join('\n');
+  }
+}
+
+exports.ConsoleRenderer = ConsoleRenderer;
+
+/**
+ * Format a run summary as a table of task timings, slowest first, followed by the
+ * critical path.  Tasks on the critical path are marked with `*`.  Returns a list
+ * of lines.
+ */
+const formatSummary = ({duration, tasks, criticalPath}) => {
+  const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+  const lines = [
+    `Task timings (total ${seconds(duration)}):`,
+    `${'duration'.padStart(10)} ${'waiting'.padStart(9)} ${'locked'.padStart(9)}  task`,
+  ];
+  _.sortBy(tasks, task => -task.duration).forEach(task => {
+    const critical = criticalPath.includes(task.title) ? ' *' : '';
+    lines.push([
+      seconds(task.duration).padStart(10),
+      seconds(task.requirementsWait).padStart(9),
+      seconds(task.lockWait).padStart(9),
+      ` ${task.title}${critical}`,
+    ].join(' '));
+  });
+  lines.push(`Critical path: ${criticalPath.join(' -> ')}`);
+  return lines;
+};
+
+/**
+ * Describe why a task failed, for display.  Invalid values are described by their
+ * key and mismatch, rather than as an error.
+ */
+const failureReason = err => err instanceof InvalidValueError ?
+  `invalid value for ${err.key}: ${err.mismatch}` : err.toString();
+
+/**
+ * Read the last `count` lines (default 10) of a task's log file, returning an
+ * empty list if the file cannot be read.
+ */
+const readLogTail = (logFile, count = 10) => {
+  if (!count) {
+    return [];
+  }
+  let content;
+  try {
+    content = fs.readFileSync(logFile, 'utf8');
+  } catch (err) {
+    return [];
+  }
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines.slice(-count);
+};
+
+/**
+ * Return the last `count` lines (default 10) of the output attached to a failed
+ * task's error, such as a ProcessError from `shellTask`.
+ */
+const outputTail = (err, count = 10) => err && Array.isArray(err.output) && count ? err.output.slice(-count) : [];
+
+/**
+ * A renderer that passes everything along to several other renderers, calling
+ * optional methods only on those renderers that have them.
+ */
+class MultiRenderer {
+  constructor(renderers) {
+    this.renderers = renderers;
+  }
+
+  start(nodes) {
+    this.renderers.forEach(r => r.start(nodes));
+  }
 
-    node.task.locks.forEach(l => this.locks[l].acquire());
-    try {
-      const requirements = {};
-      task.requires.forEach(k => requirements[k] = context[k]);
+  stop() {
+    this.renderers.forEach(r => r.stop());
+  }
 
-      let result;
-      try {
-        result = await task.run(requirements, utils);
-      } catch (err) {
-        node.state = 'failed';
-        this.renderer.update(node, 'state', 'failed');
-        this.renderer.update(node, 'fail', err);
-        throw err;
-      }
+  update(node, change, value, source) {
+    this.renderers.forEach(r => r.update(node, change, value, source));
+  }
 
-      // as a convenience, provide a single value as a simple 'true'
-      try {
-        if (!result) {
-          assert(task.provides.length <= 1,
-            `Task ${task.title} provides multiple results, but did not return any values`);
-          result = task.provides.length === 1 ? {[task.provides[0]]: true} : {};
-        }
+  plan(waves) {
+    this.renderers.forEach(r => r.plan && r.plan(waves));
+  }
 
-        // check that the step provided what was expected
-        Object.keys(result).forEach(key => {
-          assert(!(key in context), `Task ${task.title} provided ${key}, but it has already been provided`);
-          assert(task.provides.indexOf(key) !== -1, `Task ${task.title} provided unexpected ${key}`);
-        });
-        task.provides.forEach(key => {
-          assert(key in result, `Task ${task.title} did not provide expected ${key}`);
-        });
-        Object.assign(context, result);
-      } catch (err) {
-        node.state = 'failed';
-        this.renderer.update(node, 'state', 'failed');
-        this.renderer.update(node, 'fail', err);
-        throw err;
-      }
+  summary(summary) {
+    this.renderers.forEach(r => r.summary && r.summary(summary));
+  }
 
-      if (node.state !== 'skipped') {
-        node.state = 'finished';
-        this.renderer.update(node, 'state', 'finished');
-      }
-    } finally {
-      node.task.locks.forEach(l => this.locks[l].release());
-    }
+  add(nodes) {
+    this.renderers.forEach(r => r.add && r.add(nodes));
+  }
+
+  waiting() {
+    this.renderers.forEach(r => r.waiting && r.waiting());
   }
 }
 
-module.exports.TaskGraph = TaskGraph;
+// the events emitted by a TaskGraph; all but the first seven are node updates
+const EVENT_TYPES = [
+  'start', 'stop', 'plan', 'summary', 'add', 'waiting', 'update',
+  'state', 'log', 'logEntry', 'status', 'step', 'retry', 'skip', 'fail',
+];
 
-class ConsoleRenderer {
-  constructor(options) {
-    this.progressBar = unicodeProgress({width: 30});
-    this.options = options || {};
+// the source of a log line is only included in events when it is known
+const withSource = source => source ? {source} : {};
+
+/**
+ * Convert the arguments of an emitted event into an object, as yielded from `graph.events()`.
+ */
+const makeEvent = (type, args) => {
+  switch (type) {
+    case 'start': return {type, nodes: args[0]};
+    case 'stop': return {type};
+    case 'plan': return {type, waves: args[0]};
+    case 'summary': return {type, summary: args[0]};
+    case 'add': return {type, nodes: args[0]};
+    case 'waiting': return {type};
+    case 'update': return {type, node: args[0], change: args[1], value: args[2], ...withSource(args[3])};
+    default: return {type, node: args[0], value: args[1], ...withSource(args[2])};
+  }
+};
+
+/**
+ * A renderer that emits events on the graph.  Each update is emitted both as an
+ * `update` event and as an event named for the kind of change.
+ */
+class EventRenderer {
+  constructor(graph) {
+    this.graph = graph;
   }
 
   start(nodes) {
-    this.nodes = nodes;
-    // nodes are only displayed when they are running or finished
-    this.displayed = [];
-    this.interval = setInterval(() => this.render(), spinner.interval);
+    this.graph.emit('start', nodes);
   }
 
   stop() {
-    clearInterval(this.interval);
-    this.render();
+    this.graph.emit('stop');
   }
 
-  update(node, change, value) {
-    if (change === 'state') {
-      if (value === 'running') {
-        node.started = new Date().getTime();
-        this.displayed.push(node);
-      }
-    } else if (change === 'step') {
-      if (!node.steps) {
-        node.steps = [];
-      }
-      delete node.output;
-      delete node.message;
-      delete node.progress;
-      node.steps.push(value);
-    } else if (change === 'log') {
-      if (!node.output) {
-        node.output = [];
-      }
-      node.output.push(value.toString().trimRight());
-      node.output = node.output.slice(-4);
-    } else if (change === 'skip') {
-      node.skipReason = value;
-    } else if (change === 'status') {
-      if (value.message) {
-        node.message = value.message;
-      }
-      if (value.progress !== undefined) {
-        node.progress = value.progress;
-      }
-    } else if (change === 'fail') {
-      node.message = value.toString();
-      // force a re-render since we will likely terminate soon (it is already
-      // marked with status='fail')
-      this.render();
-    }
+  plan(waves) {
+    this.graph.emit('plan', waves);
   }
 
-  render() {
-    const now = new Date().getTime();
-    let logoutput = [];
-
-    let displayed = this.displayed;
-    if (this.options.elideCompleted) {
-      // omit completed tasks
-      displayed = displayed.filter(n => n.state !== 'finished' && n.state !== 'skipped');
-      const omitted = this.displayed.length - displayed.length;
-      if (omitted) {
-        logoutput.push(chalk.cyanBright(`... ${omitted} completed tasks`));
-      }
-    }
-
-    displayed.forEach(node => {
-      let noderep = [];
+  summary(summary) {
+    this.graph.emit('summary', summary);
+  }
 
-      if (node.state === 'running') {
-        const frameidx = Math.trunc((now - node.started) / spinner.interval) % spinner.frames.length;
-        const frame = chalk.yellow(spinner.frames[frameidx]);
-        noderep.push(`${frame} ${chalk.bold(node.task.title)}`);
+  add(nodes) {
+    this.graph.emit('add', nodes);
+  }
 
-        // show previous and current steps
-        if (node.steps) {
-          const last = node.steps.length - 1;
-          node.steps.forEach((step, i) => {
-            const title = chalk.bold(cliTruncate(step.title, process.stdout.columns - 4));
-            noderep.push(` ${i === last ? frame : logSymbols.success} ${title}`);
-          });
-        }
+  waiting() {
+    this.graph.emit('waiting');
+  }
 
-        // render the node output, if any
-        if (node.output) {
-          const lines = node.output.map(line => {
-            const logged = stripAnsi(cliTruncate(line, process.stdout.columns - 4));
-            return ` ${chalk.cyan(figures.arrowRight)} ${logged}`;
-          });
-          noderep.push(`${lines.join('\n')}`);
-        }
+  update(node, change, value, source) {
+    this.graph.emit('update', node, change, value, source);
+    this.graph.emit(change, node, value, source);
+  }
+}
 
-        // build a status line..
-        let statusline = [];
-        if ('progress' in node) {
-          statusline.push(chalk.magenta.bgBlue(this.progressBar(node.progress)));
-        }
-        if (node.message) {
-          let width = process.stdout.columns - 4;
-          if ('progress' in node) {
-            width -= 31;
-          }
-          statusline.push(`${chalk.bold(cliTruncate(node.message, width))}`);
-        }
-        if (statusline.length) {
-          noderep.push(` ${chalk.cyan(figures.info)} ` + statusline.join(' '));
-        }
+/**
+ * A renderer for a subgraph run with `utils.runSubgraph`, which marks each node with
+ * its parent node and passes updates to the parent graph's renderer.
+ */
+class SubgraphRenderer {
+  constructor(renderer, parent) {
+    this.renderer = renderer;
+    this.parent = parent;
+  }
 
-      } else if (node.state === 'skipped') {
-        noderep.push(`${logSymbols.info} ${chalk.bold(node.task.title)} (${node.skipReason || 'skipped'})`);
-      } else if (node.state === 'failed') {
-        const msg = node.message ? ` (${node.message})` : '';
-        noderep.push(`${logSymbols.error} ${chalk.bold(node.task.title)}${msg}`);
-      } else {
-        noderep.push(`${logSymbols.success} ${chalk.bold(node.task.title)}`);
-      }
+  start(nodes) {
+    nodes.forEach(node => node.parent = this.parent);
+  }
 
-      logoutput.push(noderep.join('\n'));
-    });
+  stop() {
+  }
 
-    const numFinished = this.displayed.filter(n => n.state !== 'running').length;
-    const pctFinished = Math.trunc(100 * numFinished / Object.keys(this.nodes).length);
-    const progress = chalk.cyanBright(`${pctFinished}% finished`);
-    logoutput.push(progress);
+  add(nodes) {
+    nodes.forEach(node => node.parent = this.parent);
+  }
 
-    logUpdate(logoutput.join('\n'));
+  update(node, change, value, source) {
+    this.renderer.update(node, change, value, source);
   }
 }
 
-exports.ConsoleRenderer = ConsoleRenderer;
+/**
+ * Return the title of a node, prefixed with the titles of any parent nodes, for
+ * nodes in subgraphs.
+ */
+const nodeTitle = node => node.parent ? `${nodeTitle(node.parent)} > ${node.task.title}` : node.task.title;
+
+/**
+ * Return the name of a node's log file: its full title, with any characters other than
+ * letters, digits, `.`, `_` and `-` replaced.  When that changes the title, a short hash of
+ * the title is added, so that different titles do not share a file.
+ */
+const logFileName = node => {
+  const title = nodeTitle(node);
+  const name = title.replace(/[^a-zA-Z0-9._-]+/g, '_');
+  if (name === title) {
+    return `${name}.log`;
+  }
+  return `${name}-${crypto.createHash('sha256').update(title).digest('hex').slice(0, 8)}.log`;
+};
 
 class LogRenderer {
+  constructor(options) {
+    this.options = options || {};
+  }
+
   start(nodes) {
   }
 
   stop() {
   }
 
-  update(node, change, value) {
+  add(nodes) {
+    const timestamp = format(new Date(), 'HH:mm:ss');
+    nodes.forEach(node => console.log(`[${timestamp}] ${nodeTitle(node)}: added`));
+  }
+
+  waiting() {
+    const timestamp = format(new Date(), 'HH:mm:ss');
+    console.log(`[${timestamp}] waiting for changes`);
+  }
+
+  summary(summary) {
+    if (this.options.summary) {
+      const timestamp = format(new Date(), 'HH:mm:ss');
+      formatSummary(summary).forEach(line => console.log(`[${timestamp}] ${line}`));
+    }
+  }
+
+  plan(waves) {
+    const timestamp = format(new Date(), 'HH:mm:ss');
+    waves.forEach(({nodes}, i) => {
+      const titles = nodes.map(node => {
+        const locks = describeLocks(node.task);
+        const nodeLocks = locks.length ? ` (locks: ${locks.join(', ')})` : '';
+        return `${node.task.title}${nodeLocks}`;
+      });
+      console.log(`[${timestamp}] plan: wave ${i + 1}: ${titles.join(', ')}`);
+    });
+  }
+
+  update(node, change, value, source) {
+    const title = nodeTitle(node);
     let output;
     if (change === 'state') {
-      output = `${node.task.title}: ${value}`;
+      output = `${title}: ${value}`;
     } else if (change === 'log') {
-      output = `${node.task.title}: ${value}`;
+      output = source === 'stderr' ? `${title} (stderr): ${value}` : `${title}: ${value}`;
+    } else if (change === 'logEntry') {
+      output = `${title}: ${formatLogEntry(value)}`;
     } else if (change === 'step') {
-      output = `${node.task.title}: start step ${value.title}`;
+      output = `${title}: start step ${value.title}`;
+    } else if (change === 'retry') {
+      output = `${title}: retry (attempt ${value.attempt}/${value.retries + 1}) after ${value.error}`;
     } else if (change === 'skip') {
-      output = `${node.task.title}: skip - ${value}`;
+      output = `${title}: skip - ${value}`;
     } else if (change === 'fail') {
-      output = `${node.task.title}: fail: ${value}`;
+      output = `${title}: fail: ${failureReason(value)}`;
     } else if (change === 'status') {
       if (value.message) {
-        output = `${node.task.title}: ${value.message}`;
+        output = `${title}: ${value.message}`;
       }
       // (silently ignore progress updates)
     }
@@ -388,12 +2076,104 @@ class LogRenderer {
     if (output) {
       const timestamp = format(new Date(), 'HH:mm:ss');
       console.log(`[${timestamp}] ${output}`);
+
+      if (change === 'fail' && node.logFile) {
+        readLogTail(node.logFile, this.options.logTail).forEach(line => {
+          console.log(`[${timestamp}] ${title}: | ${line}`);
+        });
+        console.log(`[${timestamp}] ${title}: full log: ${node.logFile}`);
+      } else if (change === 'fail') {
+        outputTail(value, this.options.logTail).forEach(line => {
+          console.log(`[${timestamp}] ${title}: | ${line}`);
+        });
+      }
     }
   }
 }
 
 exports.LogRenderer = LogRenderer;
 
+/**
+ * Serialize errors (which JSON.stringify renders as `{}`) and buffers in renderer values.
+ */
+const jsonReplacer = (key, value) => {
+  if (value instanceof Error) {
+    return {name: value.name, message: value.message, stack: value.stack};
+  }
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data).toString();
+  }
+  return value;
+};
+
+class JSONRenderer {
+  constructor(options) {
+    this.options = options || {};
+  }
+
+  start(nodes) {
+    this.write({event: 'start', tasks: nodes.map(node => node.task.title)});
+  }
+
+  stop() {
+    this.write({event: 'stop'});
+    this.close();
+  }
+
+  plan(waves) {
+    const wavereps = waves.map(({nodes, locks}) => ({
+      tasks: nodes.map(node => node.task.title),
+      locks: _.mapValues(locks, ({capacity, requested, nodes}) => ({
+        capacity,
+        requested,
+        tasks: nodes.map(node => node.task.title),
+      })),
+    }));
+    // graph.plan() does not start or stop the renderer, so close the file if this opened it
+    const opened = this.fd === undefined;
+    this.write({event: 'plan', waves: wavereps});
+    if (opened) {
+      this.close();
+    }
+  }
+
+  add(nodes) {
+    this.write({event: 'add', tasks: nodes.map(node => node.task.title)});
+  }
+
+  summary(summary) {
+    this.write({event: 'summary', summary});
+  }
+
+  update(node, change, value, source) {
+    const parent = node.parent ? {parent: nodeTitle(node.parent)} : {};
+    this.write({
+      event: 'update', task: node.task.title, ...parent, change, state: node.state, value, ...withSource(source),
+    });
+  }
+
+  write(event) {
+    const line = JSON.stringify({time: new Date().toISOString(), ...event}, jsonReplacer) + '\n';
+    if (this.options.filename) {
+      if (this.fd === undefined) {
+        this.fd = fs.openSync(this.options.filename, 'a');
+      }
+      fs.writeSync(this.fd, line);
+    } else {
+      (this.options.stream || process.stdout).write(line);
+    }
+  }
+
+  close() {
+    if (this.fd !== undefined) {
+      fs.closeSync(this.fd);
+      this.fd = undefined;
+    }
+  }
+}
+
+exports.JSONRenderer = JSONRenderer;
+
 /**
  * Convert a textual byte stream to an observable that calls next() for each
  * line, with newlines stripped.
@@ -442,24 +2222,245 @@ const streamToLoggingObservable = stream => {
   });
 };
 
+/**
+ * Log the lines of the `stdout` and `stderr` streams of a child process (or of any
+ * object with those properties) with `log(line, source)`.  For a child process, the
+ * result rejects with a ProcessError if it exits unsuccessfully.
+ */
+const waitForProcess = async (proc, log) => {
+  const streams = ['stdout', 'stderr'].filter(source => proc[source]).map(source => new Promise((resolve, reject) => {
+    streamToLoggingObservable(proc[source]).subscribe({
+      next: data => log(data, source),
+      complete: resolve,
+      error: reject,
+    });
+  }));
+
+  if (!(proc instanceof ChildProcess)) {
+    await Promise.all(streams);
+    return;
+  }
+
+  const exited = new Promise((resolve, reject) => {
+    if (proc.exitCode !== null || proc.signalCode !== null) {
+      resolve([proc.exitCode, proc.signalCode]);
+    } else {
+      proc.once('exit', (code, signal) => resolve([code, signal]));
+      proc.once('error', reject);
+    }
+  });
+  const [[code, signal]] = await Promise.all([exited, ...streams]);
+  if (code !== 0) {
+    throw new ProcessError(proc.spawnargs.join(' '), code, signal);
+  }
+};
+
+/**
+ * Wait for a value as described for `utils.waitFor`, calling `log(line, source)` for
+ * each line of output.  The source is only given for child processes.
+ */
+const waitForOutput = (value, log) => {
+  if (value instanceof ChildProcess || isStream(value && value.stdout) || isStream(value && value.stderr)) {
+    value = waitForProcess(value, log);
+  } else if (isStream(value)) {
+    value = streamToLoggingObservable(value);
+  }
+
+  if (isObservable(value)) {
+    value = new Promise((resolve, reject) => {
+      value.subscribe({
+        next: data => log(data),
+        complete: resolve,
+        error: reject,
+      });
+    });
+  }
+
+  if (isPromise(value)) {
+    return value.then(result => waitForOutput(result, log));
+  }
+
+  return value;
+};
+
+/**
+ * Return true if the given value survives a round-trip through JSON unchanged.
+ */
+const isJSONSerializable = value => {
+  try {
+    return _.isEqual(JSON.parse(JSON.stringify(value)), value);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * A cache of task results, stored as JSON files in a directory.  Any object with
+ * async `get(key)` and `set(key, value)` methods can be used in its place.
+ */
+class FileCache {
+  constructor({directory}={}) {
+    this.directory = directory || '.taskgraph-cache';
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._filename(key), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return undefined;
+      }
+      throw err;
+    }
+  }
+
+  async set(key, value) {
+    await fs.promises.mkdir(this.directory, {recursive: true});
+    await fs.promises.writeFile(this._filename(key), JSON.stringify(value));
+  }
+
+  _filename(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
+
+exports.FileCache = FileCache;
+
 class Lock {
   constructor(N) {
     this.N = N;
     this.n = 0;
+    this.waiters = [];
+  }
+
+  available(weight=1) {
+    return this.n + weight <= this.N;
   }
 
-  available() {
-    return this.n < this.N;
+  acquire(weight=1) {
+    assert(this.n + weight <= this.N);
+    this.n += weight;
   }
 
-  acquire() {
-    assert(this.n < this.N);
-    this.n += 1;
+  release(weight=1) {
+    this.n -= weight;
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
   }
 
-  release() {
-    this.n -= 1;
+  /**
+   * Return a promise that resolves the next time this lock is released.
+   */
+  released() {
+    return new Promise(resolve => this.waiters.push(resolve));
   }
 }
 
 exports.Lock = Lock;
+
+const COMMAND_TEMPLATE = /\{\{\s*([^}\s]+)\s*\}\}/g;
+
+/**
+ * Create a task that runs a shell command (or, given an array, an executable without
+ * a shell), with `{{key}}` in the command replaced by that requirement.  Both output
+ * streams are logged, and a non-zero exit fails the task with a ProcessError whose
+ * `output` property holds the last `tail` lines of output.  If given, `parse(stdout)`
+ * returns the task's provided values.
+ */
+const shellTask = ({command, cwd, env, parse, tail=10, ...task}) => {
+  assert(typeof command === 'string' || Array.isArray(command) || typeof command === 'function',
+    'shellTask command must be a string, an array, or a function');
+  const requires = _.concat(task.requires || [], task.optionalRequires || []);
+  const templated = typeof command === 'function' ? [] : _.flatten([command]);
+  templated.forEach(arg => [...arg.matchAll(COMMAND_TEMPLATE)].forEach(([, key]) => assert(requires.includes(key),
+    `shellTask command refers to {{${key}}}, which is not a requirement of ${task.title}`)));
+
+  return {
+    ...task,
+    command,
+    run: async (requirements, utils) => {
+      // missing optional requirements are replaced with an empty string
+      const fill = arg => arg.replace(COMMAND_TEMPLATE, (match, key) =>
+        requirements[key] === undefined ? '' : String(requirements[key]));
+      let cmd;
+      if (typeof command === 'function') {
+        cmd = command(requirements);
+      } else {
+        cmd = Array.isArray(command) ? command.map(fill) : fill(command);
+      }
+
+      const options = {cwd, env: {...process.env, ...env}, signal: utils.signal};
+      const proc = Array.isArray(cmd) ?
+        spawn(cmd[0], cmd.slice(1), options) :
+        spawn(cmd, {...options, shell: true});
+
+      // stdout is only kept in full when it is to be parsed
+      const stdout = [];
+      if (parse) {
+        proc.stdout.on('data', data => stdout.push(data));
+      }
+      const lines = [];
+      const onLine = line => {
+        lines.push(line);
+        if (lines.length > tail) {
+          lines.shift();
+        }
+      };
+
+      try {
+        await utils.waitFor(proc, {onLine});
+      } catch (err) {
+        if (err instanceof ProcessError) {
+          err.output = lines;
+        }
+        throw err;
+      }
+
+      if (parse) {
+        return parse(Buffer.concat(stdout).toString());
+      }
+    },
+  };
+};
+
+exports.shellTask = shellTask;
+
+/**
+ * Run an isolated task in this worker thread or child process, started by
+ * `TaskGraph._runIsolated`.  Messages are sent to the parent with `send`.
+ */
+const runIsolatedTask = async ({module: modulePath, requirements}, send) => {
+  const call = name => (...args) => send({type: 'call', name, args});
+  const utils = {
+    // isolated tasks are terminated, rather than signalled, when aborted
+    signal: new AbortController().signal,
+    waitFor: (value, {onLine}={}) => waitForOutput(value, (line, source) => {
+      send({type: 'line', line: line.toString(), source});
+      if (onLine) {
+        onLine(line, source);
+      }
+    }),
+    status: call('status'),
+    step: call('step'),
+    log: call('log'),
+    skip: ({provides, reason}={}) => {
+      send({type: 'call', name: 'skip', args: [{reason}]});
+      return provides;
+    },
+  };
+
+  try {
+    const exported = require(modulePath);
+    const run = typeof exported === 'function' ? exported : exported.run;
+    send({type: 'result', result: await run(requirements, utils)});
+  } catch (err) {
+    send({type: 'error', error: {name: err.name, message: err.message, stack: err.stack}});
+  }
+};
+
+if (!isMainThread && workerData && workerData.isolatedTask) {
+  runIsolatedTask(workerData.isolatedTask, message => parentPort.postMessage(message));
+} else if (require.main === module && process.send) {
+  process.once('message', ({isolatedTask}) => runIsolatedTask(isolatedTask, message => process.send(message)));
+}
@@ -0,0 +1,143 @@
+const assume = require('assume');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {spawn} = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+
+suite('src/cli.js', function() {
+  let directory, tasksModule;
+  setup(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taskgraph-'));
+    tasksModule = path.join(directory, 'tasks.js');
+    fs.writeFileSync(tasksModule, `
+      module.exports = [{
+        title: 'GREET',
+        requires: ['name'],
+        provides: ['greeting'],
+        run: async ({name}) => ({greeting: 'hello ' + name}),
+      }, {
+        title: 'PRINT',
+        requires: ['greeting', 'count'],
+        provides: ['printed'],
+        run: async ({greeting, count}) => {
+          console.log(greeting.repeat(count));
+        },
+      }, {
+        title: 'FAIL',
+        requires: ['name'],
+        provides: ['failed'],
+        run: async ({name}) => {
+          if (name === 'fail') {
+            throw new Error('failed on purpose');
+          }
+        },
+      }, {
+        title: 'WAIT',
+        requires: ['name'],
+        provides: ['waited'],
+        run: async ({name}, {signal}) => {
+          if (name === 'wait') {
+            console.log('waiting');
+            await new Promise((resolve, reject) => {
+              const timer = setTimeout(resolve, 30000);
+              signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+              });
+            });
+          }
+        },
+      }];
+    `);
+  });
+
+  teardown(function() {
+    fs.rmSync(directory, {recursive: true});
+  });
+
+  // run the CLI, resolving to {status, stdout, stderr}; onStdout is called with each chunk of output
+  const cli = (args, onStdout) => new Promise((resolve, reject) => {
+    const proc = spawn(process.execPath, [CLI, ...args]);
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', data => {
+      stdout += data;
+      if (onStdout) {
+        onStdout(proc, stdout);
+      }
+    });
+    proc.stderr.on('data', data => stderr += data);
+    proc.on('error', reject);
+    proc.on('close', status => resolve({status, stdout, stderr}));
+  });
+
+  // strip the timestamps from LogRenderer output
+  const lines = output => output.trim().split('\n').map(line => line.replace(/^\[[0-9:]+\] /, ''));
+
+  test('lists tasks', async function() {
+    const {status, stdout} = await cli(['--list', '--target', 'greeting', tasksModule]);
+    assume(status).to.equal(0);
+    assume(lines(stdout)).to.deeply.equal(['GREET (requires: name; provides: greeting)']);
+  });
+
+  test('runs targeted tasks with context from --set', async function() {
+    const {status, stdout} = await cli([
+      '--renderer', 'log', '--target=printed', '--set', 'name=world', '--set', 'count=2', tasksModule,
+    ]);
+    assume(status).to.equal(0);
+    assume(lines(stdout)).to.deeply.equal([
+      'GREET: running',
+      'GREET: finished',
+      'PRINT: running',
+      'hello worldhello world',
+      'PRINT: finished',
+    ]);
+  });
+
+  test('writes JSON with --renderer json', async function() {
+    const {status, stdout} = await cli(['--renderer', 'json', '--target', 'greeting', '--set', 'name=x', tasksModule]);
+    assume(status).to.equal(0);
+    const events = lines(stdout).map(line => JSON.parse(line).event);
+    assume(events).to.deeply.equal(['start', 'update', 'update', 'summary', 'stop']);
+  });
+
+  test('exits with status 1 when a task fails', async function() {
+    const {status, stderr} = await cli([
+      '--renderer', 'log', '--target', 'failed', '--set', 'name=fail', tasksModule,
+    ]);
+    assume(status).to.equal(1);
+    assume(stderr).to.equal('failed on purpose (while executing task FAIL)\n');
+  });
+
+  test('exits with status 2 for usage errors', async function() {
+    const bad = async (args, message) => {
+      const {status, stderr} = await cli(args);
+      assume(status).to.equal(2);
+      assume(stderr.split('\n')[0]).to.equal(message);
+    };
+    await bad([], 'No tasks module given');
+    await bad(['--renderer', 'fancy', tasksModule], 'Unknown renderer fancy');
+    await bad(['--set', 'novalue', tasksModule], '--set requires key=value, not novalue');
+    await bad([tasksModule, '--target'], '--target requires a value');
+    await bad(['--target', 'nope', tasksModule], 'Invalid task graph:');
+    await bad(['--target', 'greeting', tasksModule],
+      'Task GREET requires name, which is not provided by any task or by --set');
+    const missing = path.join(directory, 'missing.js');
+    await bad([missing], `Could not load tasks module ${missing}: Cannot find module '${missing}'`);
+  });
+
+  test('exits with status 130 on SIGINT', async function() {
+    let interrupted = false;
+    const {status, stderr} = await cli(['--renderer', 'log', '--target', 'waited', '--set', 'name=wait', tasksModule],
+      (proc, stdout) => {
+        if (!interrupted && stdout.includes('waiting')) {
+          interrupted = true;
+          proc.kill('SIGINT');
+        }
+      });
+    assume(status).to.equal(130);
+    assume(stderr).to.equal('Interrupted\n');
+  });
+});
@@ -1,9 +1,49 @@
-const {TaskGraph, Lock} = require('../src/taskgraph');
+const taskgraph = require('../src/taskgraph');
+const {
+  Lock,
+  CancelledError,
+  TimeoutError,
+  GraphValidationError,
+  FileCache,
+  JSONRenderer,
+  LogRenderer,
+  ProcessError,
+  InvalidValueError,
+  schedulers,
+  shellTask,
+} = require('../src/taskgraph');
+const _ = require('lodash');
 const assume = require('assume');
 const assert = require('assert');
-const {Readable} = require('stream');
+const fs = require('fs');
+const {spawn} = require('child_process');
+const os = require('os');
+const path = require('path');
+const {Readable, PassThrough} = require('stream');
 const Observable = require('zen-observable');
 
+// the default concurrency depends on the host's CPU count, so tests that do not
+// specify one run without a limit
+class TaskGraph extends taskgraph.TaskGraph {
+  constructor(tasks, options={}) {
+    super(tasks, {concurrency: Infinity, ...options});
+  }
+}
+
+// a task that runs until its signal is aborted, then throws the AbortError
+const abortableTask = task => {
+  task.run = async (requirements, {signal}) => {
+    await new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        const err = new Error('aborted');
+        err.name = 'AbortError';
+        reject(err);
+      });
+    });
+  };
+  return task;
+};
+
 const delayTask = ({delay, failWith, result, ...task}) => {
   task.run = async (requirements, provide) => {
     await new Promise(resolve => setTimeout(resolve, delay));
@@ -35,11 +75,24 @@ class FakeRenderer {
     this.updates.push('stop');
   }
 
-  update(node, change, value) {
-    if (change === 'status' || change === 'step') {
+  add(nodes) {
+    this.updates.push(`add ${nodes.map(node => node.task.title).join(',')}`);
+  }
+
+  waiting() {
+    this.updates.push('waiting');
+  }
+
+  update(node, change, value, source) {
+    if (change === 'status' || change === 'step' || change === 'logEntry') {
       value = JSON.stringify(value);
+    } else if (change === 'retry') {
+      value = `${value.attempt}/${value.retries + 1} ${value.error.message}`;
+    } else if (change === 'log' && source) {
+      value = `${source}: ${value}`;
     }
-    this.updates.push(`${change} ${value} ${node.task.title}`);
+    const parent = node.parent ? `${node.parent.task.title} > ` : '';
+    this.updates.push(`${change} ${value} ${parent}${node.task.title}`);
   }
 }
 
@@ -96,6 +149,237 @@ suite('src/taskgraph.js', function() {
       });
     });
 
+    suite('validation', function() {
+      const validate = (tasks, options={}) => {
+        try {
+          new TaskGraph(tasks, {renderer: new FakeRenderer(), ...options});
+        } catch (err) {
+          assume(err).to.be.instanceOf(GraphValidationError);
+          return err;
+        }
+        assert(false, 'expected an error');
+      };
+
+      test('accepts a valid graph', function() {
+        new TaskGraph(nodes, {renderer: new FakeRenderer(), contextKeys: []});
+      });
+
+      test('detects a dependency cycle', function() {
+        const err = validate([
+          delayTask({title: 'A', requires: ['c'], provides: ['a'], delay: 0}),
+          delayTask({title: 'B', requires: ['a'], provides: ['b'], delay: 0}),
+          delayTask({title: 'C', requires: ['b'], provides: ['c'], delay: 0}),
+          delayTask({title: 'D', requires: ['a'], provides: [], delay: 0}),
+        ]);
+        assume(err.problems).to.deeply.equal([
+          {type: 'cycle', message: 'Dependency cycle: A -> C -> B -> A', path: ['A', 'C', 'B', 'A']},
+        ]);
+      });
+
+      test('detects a task requiring its own provides', function() {
+        const err = validate([
+          delayTask({title: 'SELF', requires: ['a'], provides: ['a'], delay: 0}),
+        ]);
+        assume(err.problems.map(p => p.message)).to.deeply.equal(['Dependency cycle: SELF -> SELF']);
+      });
+
+      test('detects invalid validators', function() {
+        const err = validate([{
+          title: 'V',
+          provides: ['a', 'b'],
+          validate: {a: {type: 'nope'}, b: v => true, c: {type: 'string'}},
+          run: async () => {},
+        }]);
+        assume(err.problems.map(({type, key}) => [type, key])).to.deeply.equal([
+          ['invalid-validator', 'a'],
+          ['invalid-validator', 'c'],
+        ]);
+        assume(err.problems[1].message).to.equal(
+          'Task V has an invalid validator for c: it does not provide that key');
+      });
+
+      test('detects duplicate providers', function() {
+        const err = validate([
+          delayTask({title: 'A', requires: [], provides: ['x', 'y'], delay: 0}),
+          delayTask({title: 'B', requires: [], provides: ['x'], delay: 0}),
+        ]);
+        assume(err.problems).to.deeply.equal([{
+          type: 'duplicate-provider',
+          message: 'Key x is provided by multiple tasks: A, B',
+          key: 'x',
+          tasks: ['A', 'B'],
+        }]);
+      });
+
+      test('detects requirements not provided by tasks or contextKeys', function() {
+        const tasks = [
+          delayTask({title: 'A', requires: ['ok', 'extra'], provides: [], delay: 0}),
+        ];
+        const err = validate(tasks, {contextKeys: ['ok']});
+        assume(err.problems.map(p => p.message)).to.deeply.equal([
+          'Task A requires extra, which is not provided by any task or by the context',
+        ]);
+        // without contextKeys, this is checked only when the graph runs
+        new TaskGraph(tasks, {renderer: new FakeRenderer()});
+      });
+
+      test('lists every problem', function() {
+        const err = validate([
+          {requires: [], provides: ['a'], locks: ['nosuch'], run: async () => {}},
+          {title: 'NORUN', requires: ['b'], provides: ['b']},
+        ], {target: 'c'});
+        assume(err.problems.map(p => p.type)).to.deeply.equal([
+          'no-title', 'undefined-lock', 'no-run', 'unprovided-target', 'cycle',
+        ]);
+        assume(err.message).to.equal([
+          'Invalid task graph:',
+          '  Task has no title',
+          '  Task undefined uses undefined lock nosuch',
+          '  Task NORUN has no run method',
+          '  Target c is not provided by any nodes',
+          '  Dependency cycle: NORUN -> NORUN',
+        ].join('\n'));
+      });
+    });
+
+    suite('summary', function() {
+      test('records timings and the critical path', async function() {
+        let summarized;
+        const renderer = new FakeRenderer();
+        renderer.summary = summary => summarized = summary;
+        const graph = new TaskGraph(nodes, {renderer});
+        await graph.run();
+        const {summary} = graph;
+        assume(summarized).to.equal(summary);
+        assume(summary.duration).to.equal(summary.finished - summary.started);
+        assume(summary.tasks.map(t => t.title)).to.deeply.equal(['D1', 'D2', 'D3', 'D4', 'D5']);
+        summary.tasks.forEach(task => {
+          assume(task.state).to.equal('finished');
+          assume(task.duration).to.equal(task.finished - task.started);
+          assume(task.lockWait).to.equal(0);
+        });
+        const d4 = summary.tasks[3];
+        assume(d4.requirementsWait).to.be.least(10); // waits for D3
+        assume(summary.criticalPath).to.deeply.equal(['D1', 'D3', 'D4', 'D5']);
+      });
+
+      test('records time spent waiting for locks', async function() {
+        const graph = new TaskGraph([
+          delayTask({title: 'LA', requires: [], provides: [], locks: ['qbit'], delay: 20}),
+          delayTask({title: 'LB', requires: [], provides: [], locks: ['qbit'], delay: 0}),
+        ], {renderer: new FakeRenderer(), locks: {qbit: new Lock(1)}});
+        await graph.run();
+        const [la, lb] = graph.summary.tasks;
+        assume(la.lockWait).to.equal(0);
+        assume(lb.lockWait).to.be.least(15);
+        assume(lb.requirementsWait).to.equal(la.requirementsWait); // both were ready at once
+      });
+
+      test('does not count waiting for the concurrency limit as lock wait', async function() {
+        const graph = new TaskGraph([
+          delayTask({title: 'CA', requires: [], provides: [], locks: ['qbit'], delay: 20}),
+          delayTask({title: 'CB', requires: [], provides: [], locks: ['qbit'], delay: 0}),
+        ], {renderer: new FakeRenderer(), locks: {qbit: new Lock(2)}, concurrency: 1});
+        await graph.run();
+        const [ca, cb] = graph.summary.tasks;
+        assume(cb.started - ca.started).to.be.least(15);
+        assume(ca.lockWait).to.equal(0);
+        assume(cb.lockWait).to.equal(0);
+      });
+
+      test('is available after a failure', async function() {
+        const graph = new TaskGraph([
+          delayTask({title: 'F', failWith: 'uhoh', requires: [], provides: ['a'], delay: 0}),
+          delayTask({title: 'NEVER', requires: ['a'], provides: [], delay: 0}),
+        ], {renderer: new FakeRenderer()});
+        await assume(graph.run()).to.throwAsync();
+        assume(graph.summary.tasks.map(t => [t.title, t.state])).to.deeply.equal([['F', 'failed']]);
+        assume(graph.summary.criticalPath).to.deeply.equal(['F']);
+      });
+    });
+
+    suite('plan', function() {
+      const titles = waves => waves.map(({nodes}) => nodes.map(n => n.task.title));
+
+      test('plans a graph in waves', function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph(nodes, {renderer});
+        const waves = graph.plan();
+        assume(titles(waves)).to.deeply.equal([['D1'], ['D2', 'D3'], ['D4'], ['D5']]);
+        assume(renderer.updates).to.deeply.equal([]);
+        assume(graph.nodes.every(n => n.state === 'pending')).to.be.true();
+      });
+
+      test('plans a targeted graph', function() {
+        const graph = new TaskGraph(nodes, {renderer: new FakeRenderer(), target: '3'});
+        assume(titles(graph.plan())).to.deeply.equal([['D1'], ['D2']]);
+      });
+
+      test('uses the given context', function() {
+        const graph = new TaskGraph(nodes.slice(1), {renderer: new FakeRenderer()});
+        assume(titles(graph.plan({1: true}))).to.deeply.equal([['D2', 'D3'], ['D4'], ['D5']]);
+      });
+
+      test('fails for unfulfilled requirements', function() {
+        const graph = new TaskGraph(nodes.slice(1), {renderer: new FakeRenderer()});
+        assume(() => graph.plan()).to.throw(/Task D2 has unfulfilled requirements/);
+      });
+
+      test('reports lock contention and calls the renderer', function() {
+        let planned;
+        const renderer = {plan: waves => planned = waves};
+        const graph = new TaskGraph([
+          delayTask({title: 'LA', requires: [], provides: [], locks: ['qbit'], delay: 0}),
+          delayTask({title: 'LB', requires: [], provides: [], locks: ['qbit'], delay: 0}),
+          delayTask({title: 'LC', requires: [], provides: [], locks: ['qbit'], delay: 0}),
+        ], {renderer, locks: {qbit: new Lock(2)}});
+        const waves = graph.plan();
+        assume(planned).to.equal(waves);
+        assume(waves[0].locks.qbit.capacity).to.equal(2);
+        assume(waves[0].locks.qbit.nodes.map(n => n.task.title)).to.deeply.equal(['LA', 'LB', 'LC']);
+      });
+    });
+
+    suite('export', function() {
+      const exportNodes = () => [
+        delayTask({title: 'SOURCE', requires: [], provides: ['src', 'rev'], delay: 0}),
+        delayTask({
+          title: 'BUILD "fast"', requires: ['src', 'rev', 'cfg'], provides: ['bin'], locks: ['cpu'], delay: 0,
+        }),
+      ];
+      const locks = {cpu: new Lock(1)};
+
+      test('exports DOT', function() {
+        const graph = new TaskGraph(exportNodes(), {renderer: new FakeRenderer(), locks});
+        assume(graph.toDot()).to.equal([
+          'digraph taskgraph {',
+          '  n0 [label="SOURCE"];',
+          '  n1 [label="BUILD \\"fast\\"\\nlocks: cpu"];',
+          '  n0 -> n1 [label="src, rev"];',
+          '}',
+          '',
+        ].join('\n'));
+      });
+
+      test('exports Mermaid', function() {
+        const graph = new TaskGraph(exportNodes(), {renderer: new FakeRenderer(), locks});
+        assume(graph.toMermaid()).to.equal([
+          'graph TD',
+          '  n0["SOURCE"]',
+          '  n1["BUILD #quot;fast#quot;<br>locks: cpu"]',
+          '  n0 -->|"src, rev"| n1',
+          '',
+        ].join('\n'));
+      });
+
+      test('colours nodes by state after a run', async function() {
+        const graph = new TaskGraph(exportNodes(), {renderer: new FakeRenderer(), locks, target: 'rev'});
+        await graph.run();
+        assume(graph.toDot()).to.contain('n0 [label="SOURCE", style=filled, fillcolor="#a5d6a7"];');
+        assume(graph.toMermaid()).to.contain('  classDef finished fill:#a5d6a7\n  class n0 finished\n');
+      });
+    });
+
     test('executes a subgraph with targeting', async function() {
       const renderer = new FakeRenderer();
       const graph = new TaskGraph(nodes, {renderer, target: '6'});
@@ -196,145 +480,1682 @@ suite('src/taskgraph.js', function() {
       ]);
     });
 
-    test('succeeds if a task provides nothing', async function() {
-      const renderer = new FakeRenderer();
-      const graph = new TaskGraph([
-        delayTask({title: 'OK', requires: [], provides: [], result: null, delay: 0}),
-      ], {renderer});
-      await graph.run();
-      assume(renderer.updates).to.deeply.equal([
-        'start',
-        'state running OK',
-        'state finished OK',
-        'stop',
-      ]);
+    suite('concurrency', function() {
+      test('runs at most `concurrency` tasks at once', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          delayTask({title: 'A', requires: [], provides: [], delay: 5}),
+          delayTask({title: 'B', requires: [], provides: [], delay: 10}),
+          delayTask({title: 'C', requires: [], provides: [], delay: 30}),
+        ], {renderer, concurrency: 2});
+        await graph.run();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running A',
+          'state running B',
+          'state finished A',
+          'state running C',
+          'state finished B',
+          'state finished C',
+          'stop',
+        ]);
+      });
+
+      test('defaults to the number of CPUs', function() {
+        const graph = new taskgraph.TaskGraph([], {renderer: new FakeRenderer()});
+        assume(graph.concurrency).to.equal(os.cpus().length);
+      });
     });
 
-    test('succeeds if a task provides one thing and returns nothing', async function() {
-      const renderer = new FakeRenderer();
-      const graph = new TaskGraph([
-        delayTask({title: 'OK', requires: [], provides: ['a'], result: null, delay: 0}),
-      ], {renderer});
-      const context = await graph.run();
-      assume(context).to.deeply.equal({a: true});
-      assume(renderer.updates).to.deeply.equal([
-        'start',
-        'state running OK',
-        'state finished OK',
-        'stop',
-      ]);
+    suite('weighted locks', function() {
+      test('acquires and releases multiple units of a lock', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          delayTask({title: 'BIG', requires: [], provides: [], locks: {memory: 12}, delay: 5}),
+          delayTask({title: 'MED', requires: [], provides: [], locks: {memory: 8}, delay: 20}),
+          delayTask({title: 'SMALL', requires: [], provides: [], locks: {memory: 4}, delay: 10}),
+        ], {renderer, locks: {memory: new Lock(16)}});
+        await graph.run();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running BIG',
+          'state running SMALL', // MED does not fit alongside BIG, but SMALL does
+          'state finished BIG',
+          'state running MED',
+          'state finished SMALL',
+          'state finished MED',
+          'stop',
+        ]);
+      });
+
+      test('rejects a weight larger than the lock', function() {
+        assume(() => new TaskGraph([
+          delayTask({title: 'HUGE', requires: [], provides: [], locks: {memory: 20}, delay: 0}),
+        ], {renderer: new FakeRenderer(), locks: {memory: new Lock(16)}})).to.throw(
+          /Task HUGE uses 20 of lock memory, which has only 16/);
+      });
+
+      test('plans with weights', function() {
+        let planned;
+        const graph = new TaskGraph([
+          delayTask({title: 'BIG', requires: [], provides: [], locks: {memory: 12}, delay: 0}),
+          delayTask({title: 'SMALL', requires: [], provides: [], locks: ['memory'], delay: 0}),
+        ], {renderer: {plan: waves => planned = waves}, locks: {memory: new Lock(16)}});
+        graph.plan();
+        assume(planned[0].locks.memory.requested).to.equal(13);
+        assume(graph.toDot()).to.contain('label="BIG\\nlocks: memory (12)"');
+      });
     });
 
-    test('fails if a task does not return all provides keys', async function() {
-      const renderer = new FakeRenderer();
-      const graph = new TaskGraph([
-        delayTask({title: 'OK', requires: [], provides: ['a', 'b'], result: {a: 10}, delay: 0}),
-      ], {renderer});
-      try {
+    suite('scheduling', function() {
+      // LOW and HIGH contend for a lock, and LONG depends on HIGH
+      const contended = () => [
+        delayTask({title: 'LOW', requires: [], provides: [], locks: ['qbit'], delay: 5}),
+        delayTask({title: 'HIGH', requires: [], provides: ['h'], locks: ['qbit'], delay: 5}),
+        delayTask({title: 'LONG', requires: ['h'], provides: [], delay: 5}),
+      ];
+      const run = async options => {
+        const renderer = new FakeRenderer();
+        await new TaskGraph(options.tasks || contended(), {renderer, locks: {qbit: new Lock(1)}, ...options}).run();
+        return renderer.updates.filter(u => u.startsWith('state running')).map(u => u.split(' ')[2]);
+      };
+
+      test('starts nodes in constructor order by default', async function() {
+        assume(await run({})).to.deeply.equal(['LOW', 'HIGH', 'LONG']);
+      });
+
+      test('starts nodes with higher priority first', async function() {
+        const tasks = contended();
+        tasks[1].priority = 10;
+        assume(await run({tasks})).to.deeply.equal(['HIGH', 'LOW', 'LONG']);
+      });
+
+      test('starts nodes that unblock the most other nodes first', async function() {
+        assume(await run({scheduler: 'downstream'})).to.deeply.equal(['HIGH', 'LOW', 'LONG']);
+      });
+
+      test('computes downstream counts once per run', async function() {
+        const computed = new Set();
+        const scheduler = (nodes, graph) => {
+          computed.add(graph._downstreamCounts());
+          return schedulers.downstream(nodes, graph);
+        };
+        assume(await run({scheduler})).to.deeply.equal(['HIGH', 'LOW', 'LONG']);
+        assume(computed.size).to.equal(1);
+      });
+
+      test('ignores priority with the order scheduler', async function() {
+        const tasks = contended();
+        tasks[1].priority = 10;
+        assume(await run({tasks, scheduler: 'order'})).to.deeply.equal(['LOW', 'HIGH', 'LONG']);
+      });
+
+      test('accepts a custom scheduler', async function() {
+        const scheduler = nodes => _.sortBy(nodes, node => node.task.title);
+        assume(await run({scheduler})).to.deeply.equal(['HIGH', 'LONG', 'LOW']);
+      });
+
+      test('rejects an unknown scheduler', function() {
+        assume(() => new TaskGraph([], {scheduler: 'nosuch'})).to.throw(/Unknown scheduler nosuch/);
+      });
+
+      test('orders plan waves', function() {
+        const graph = new TaskGraph(contended(), {
+          renderer: new FakeRenderer(), locks: {qbit: new Lock(1)}, scheduler: schedulers.downstream,
+        });
+        const waves = graph.plan();
+        assume(waves[0].nodes.map(n => n.task.title)).to.deeply.equal(['HIGH', 'LOW']);
+      });
+    });
+
+    suite('validating provided values', function() {
+      const providingTask = (result, validate) => ({
+        title: 'PROVIDE',
+        provides: Object.keys(result),
+        validate,
+        run: async () => result,
+      });
+
+      test('accepts values matching a JSON Schema or function', async function() {
+        const graph = new TaskGraph([providingTask({version: '1.2.3', count: 3}, {
+          version: {type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$'},
+          count: n => n > 0,
+        })], {renderer: new FakeRenderer()});
+        assume(await graph.run()).to.deeply.equal({version: '1.2.3', count: 3});
+      });
+
+      test('fails a task providing a value not matching a JSON Schema', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          providingTask({config: {port: 'eighty'}}, {
+            config: {type: 'object', properties: {port: {type: 'integer'}}},
+          }),
+        ], {renderer});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err).to.be.instanceOf(InvalidValueError);
+          assume(err.key).to.equal('config');
+          assume(err.mismatch).to.equal('config.port should be integer');
+          assume(err.message).to.equal(
+            'Task PROVIDE provided an invalid value for config: config.port should be integer ' +
+            '(while executing task PROVIDE)');
+        }
+      });
+
+      test('fails a task providing a value rejected by a function', async function() {
+        const check = async validator => {
+          const graph = new TaskGraph([providingTask({version: undefined}, {version: validator})],
+            {renderer: new FakeRenderer()});
+          try {
+            await graph.run();
+          } catch (err) {
+            return err.mismatch;
+          }
+        };
+        assume(await check(v => v !== undefined)).to.equal('version is invalid');
+        assume(await check(v => v ? true : 'version is missing')).to.equal('version is missing');
+        assume(await check(v => assert(v, 'no version'))).to.equal('no version');
+      });
+
+      test('LogRenderer shows the key and mismatch as the failure reason', async function() {
+        const logged = [];
+        const graph = new TaskGraph([providingTask({version: 3}, {version: {type: 'string'}})],
+          {renderer: new LogRenderer()});
+        const log = console.log;
+        console.log = line => logged.push(line.replace(/^\[[0-9:]+\] /, ''));
+        try {
+          await assume(graph.run()).to.throwAsync();
+        } finally {
+          console.log = log;
+        }
+        assume(logged).to.contain('PROVIDE: fail: invalid value for version: version should be string');
+      });
+    });
+
+    suite('optional requirements', function() {
+      // a task that records the given requirements it receives
+      const usingTask = (title, optionalRequires, received) => ({
+        title,
+        optionalRequires,
+        run: async requirements => {
+          received.push(optionalRequires.map(k => requirements[k]));
+        },
+      });
+
+      test('waits for a provider, and receives its value', async function() {
+        const received = [];
+        const graph = new TaskGraph([
+          usingTask('USE', ['a'], received),
+          delayTask({title: 'A', requires: [], provides: ['a'], delay: 5}),
+        ], {renderer: new FakeRenderer()});
         await graph.run();
-        assert(false, 'expected an error');
-      } catch (err) {
-        assume(err).to.match(/did not provide expected/); // first error is thrown..
-      }
-      assume(renderer.updates).to.deeply.equal([
-        'start',
-        'state running OK',
-        'state failed OK',
-        'fail AssertionError [ERR_ASSERTION]: Task OK did not provide expected b OK',
-        'stop',
-      ]);
+        assume(received).to.deeply.equal([[true]]);
+      });
+
+      test('receives undefined for a value with no provider', async function() {
+        const received = [];
+        await new TaskGraph([usingTask('USE', ['nope'], received)], {renderer: new FakeRenderer()}).run();
+        assume(received).to.deeply.equal([[undefined]]);
+      });
+
+      test('receives undefined for a value whose provider failed', async function() {
+        const received = [];
+        const graph = new TaskGraph([
+          delayTask({title: 'FAIL', failWith: 'uhoh', requires: [], provides: ['a'], delay: 1}),
+          usingTask('USE', ['a'], received),
+        ], {renderer: new FakeRenderer(), keepGoing: true});
+        await assume(graph.run()).to.throwAsync();
+        assume(received).to.deeply.equal([[undefined]]);
+      });
+
+      test('are planned after their providers', function() {
+        const graph = new TaskGraph([
+          usingTask('USE', ['a', 'nope'], []),
+          delayTask({title: 'A', requires: [], provides: ['a'], delay: 0}),
+        ], {renderer: new FakeRenderer()});
+        const waves = graph.plan();
+        assume(waves.map(({nodes}) => nodes.map(n => n.task.title))).to.deeply.equal([['A'], ['USE']]);
+      });
     });
 
-    suite('utils.skip', function() {
-      test('skips', async function() {
+    suite('when', function() {
+      test('skips a task when its predicate is false, defaulting its provides', async function() {
         const renderer = new FakeRenderer();
-        const nodes = [{
-          title: 'SKIP',
-          requires: [],
-          provides: ['a', 'b'],
-          run: async (requirements, {skip}) => {
-            return skip({provides: {a: 10, b: 20}});
+        const calls = [];
+        const graph = new TaskGraph([
+          delayTask({title: 'CONFIG', requires: [], provides: ['config'], delay: 0}),
+          {
+            title: 'DEPLOY',
+            requires: ['config'],
+            provides: ['url'],
+            when: requirements => {
+              calls.push(requirements);
+              return false;
+            },
+            run: async () => assert(false, 'should not run'),
           },
-        }];
-        const graph = new TaskGraph(nodes, {renderer});
+          {
+            title: 'NOTIFY',
+            optionalRequires: ['url'],
+            run: async ({url}) => calls.push(url),
+          },
+        ], {renderer});
         const context = await graph.run();
-        assume(context).to.deeply.equal({a: 10, b: 20});
+        assume(calls).to.deeply.equal([{config: true}, undefined]);
+        assume('url' in context).to.equal(true);
         assume(renderer.updates).to.deeply.equal([
           'start',
-          'state running SKIP',
-          'state skipped SKIP',
-          'skip skipped SKIP',
+          'state running CONFIG',
+          'state finished CONFIG',
+          'state skipped DEPLOY',
+          'skip condition not met DEPLOY',
+          'state running NOTIFY',
+          'state finished NOTIFY',
           'stop',
         ]);
       });
 
-      test('skips with a reason', async function() {
-        const renderer = new FakeRenderer();
-        const nodes = [{
-          title: 'SKIP',
-          requires: [],
-          provides: [],
-          run: async (requirements, {skip}) => {
-            return skip({reason: 'because'});
+      test('runs a task when its predicate is true', async function() {
+        const graph = new TaskGraph([
+          {title: 'RUN', provides: ['ran'], when: () => true, run: async () => ({ran: 'yes'})},
+        ], {renderer: new FakeRenderer()});
+        assume((await graph.run()).ran).to.equal('yes');
+      });
+
+      test('fails a task whose predicate throws', async function() {
+        const graph = new TaskGraph([{
+          title: 'BAD',
+          when: () => {
+            throw new Error('bad predicate');
           },
-        }];
-        const graph = new TaskGraph(nodes, {renderer});
-        const context = await graph.run();
+          run: async () => {},
+        }], {renderer: new FakeRenderer()});
+        const err = await graph.run().catch(err => err);
+        assume(err.message).to.equal('bad predicate (while executing task BAD)');
+      });
+
+      test('collects the error of a predicate that throws with keepGoing', async function() {
+        const graph = new TaskGraph([{
+          title: 'BAD',
+          when: () => {
+            throw new Error('bad predicate');
+          },
+          run: async () => {},
+        }], {renderer: new FakeRenderer(), keepGoing: true});
+        const err = await graph.run().catch(err => err);
+        assume(err.message).to.equal('1 tasks failed:\n  bad predicate (while executing task BAD)');
+      });
+    });
+
+    suite('keepGoing', function() {
+      test('runs independent tasks and blocks dependents after a failure', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          delayTask({title: 'LINT', failWith: 'lint failed', requires: [], provides: ['linted'], delay: 1}),
+          delayTask({title: 'BUILD', requires: [], provides: ['built'], delay: 3}),
+          delayTask({title: 'PUBLISH', requires: ['linted', 'built'], provides: ['published'], delay: 0}),
+          delayTask({title: 'ANNOUNCE', requires: ['published'], provides: [], delay: 0}),
+          delayTask({title: 'TEST', failWith: 'tests failed', requires: ['built'], provides: [], delay: 1}),
+        ], {renderer, keepGoing: true});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err).to.be.instanceOf(AggregateError);
+          assume(err.errors).to.have.length(2);
+          assume(err.message).to.equal([
+            '2 tasks failed:',
+            '  lint failed (while executing task LINT)',
+            '  tests failed (while executing task TEST)',
+          ].join('\n'));
+        }
         assume(renderer.updates).to.deeply.equal([
           'start',
-          'state running SKIP',
-          'state skipped SKIP',
-          'skip because SKIP',
+          'state running LINT',
+          'state running BUILD',
+          'state failed LINT',
+          'fail Error: lint failed LINT',
+          'state blocked PUBLISH',
+          'state blocked ANNOUNCE',
+          'state finished BUILD',
+          'state running TEST',
+          'state failed TEST',
+          'fail Error: tests failed TEST',
           'stop',
         ]);
       });
-    });
 
-    suite('utils.step', function() {
-      test('records a step update', async function() {
+      test('succeeds as usual when nothing fails', async function() {
         const renderer = new FakeRenderer();
-        const nodes = [{
-          title: 'STEP',
-          requires: [],
-          provides: [],
-          run: async (requirements, {step}) => {
-            step({title: 'Step 1'});
-            step({title: 'Step 2'});
-          },
-        }];
-        const graph = new TaskGraph(nodes, {renderer});
-        const context = await graph.run();
+        const graph = new TaskGraph(nodes, {renderer, keepGoing: true, target: '3'});
+        await graph.run();
         assume(renderer.updates).to.deeply.equal([
           'start',
-          'state running STEP',
-          'step {"title":"Step 1"} STEP',
-          'step {"title":"Step 2"} STEP',
-          'state finished STEP',
+          'state running D1',
+          'state finished D1',
+          'state running D2',
+          'state finished D2',
           'stop',
         ]);
       });
     });
 
-    suite('utils.status', function() {
-      test('updates status', async function() {
+    suite('retries', function() {
+      // a task that fails the first `failures` times it is run
+      const flakyTask = ({failures, ...task}) => {
+        task.attempts = 0;
+        task.run = async (requirements, utils) => {
+          task.attempts++;
+          if (task.attempts <= failures) {
+            throw new Error(`flake ${task.attempts}`);
+          }
+        };
+        return task;
+      };
+
+      test('retries a failing task until it succeeds', async function() {
         const renderer = new FakeRenderer();
-        const nodes = [{
-          title: 'STAT',
-          requires: [],
-          provides: [],
-          run: async (requirements, {status}) => {
-            status({message: 'hi'});
-            status({progress: 50});
-            status({progress: 100});
-            status({message: 'bye'});
-          },
-        }];
-        const graph = new TaskGraph(nodes, {renderer});
-        const context = await graph.run();
+        const graph = new TaskGraph([
+          flakyTask({title: 'FLAKY', failures: 2, retries: 3, backoff: 1}),
+        ], {renderer});
+        await graph.run();
         assume(renderer.updates).to.deeply.equal([
           'start',
-          'state running STAT',
-          'status {"message":"hi"} STAT',
+          'state running FLAKY',
+          'retry 2/4 flake 1 FLAKY',
+          'retry 3/4 flake 2 FLAKY',
+          'state finished FLAKY',
+          'stop',
+        ]);
+      });
+
+      test('fails when retries are exhausted', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          flakyTask({title: 'FLAKY', failures: 5, retries: 1}),
+        ], {renderer});
+        await assume(graph.run()).to.throwAsync();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running FLAKY',
+          'retry 2/2 flake 1 FLAKY',
+          'state failed FLAKY',
+          'fail Error: flake 2 FLAKY',
+          'stop',
+        ]);
+      });
+
+      test('does not retry errors rejected by retryOn', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          flakyTask({title: 'FLAKY', failures: 5, retries: 3, retryOn: err => err.message !== 'flake 2'}),
+        ], {renderer});
+        await assume(graph.run()).to.throwAsync();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running FLAKY',
+          'retry 2/4 flake 1 FLAKY',
+          'state failed FLAKY',
+          'fail Error: flake 2 FLAKY',
+          'stop',
+        ]);
+      });
+
+      test('calls a backoff function with the attempt number', async function() {
+        const delays = [];
+        const graph = new TaskGraph([
+          flakyTask({title: 'FLAKY', failures: 3, retries: 3, backoff: attempt => {
+            delays.push(attempt);
+            return 0;
+          }}),
+        ], {renderer: new FakeRenderer()});
+        await graph.run();
+        assume(delays).to.deeply.equal([1, 2, 3]);
+      });
+
+      test('releases locks between attempts', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          flakyTask({title: 'FLAKY', failures: 1, retries: 1, backoff: 5, locks: ['qbit']}),
+          delayTask({title: 'OTHER', requires: [], provides: [], delay: 10, locks: ['qbit']}),
+        ], {renderer, locks: {qbit: new Lock(1)}});
+        await graph.run();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running FLAKY',
+          'retry 2/2 flake 1 FLAKY',
+          'state running OTHER', // takes the lock while FLAKY backs off
+          'state finished OTHER',
+          'state finished FLAKY', // only runs again once OTHER releases the lock
+          'stop',
+        ]);
+      });
+
+      test('does not retry after the graph fails while waiting for locks', async function() {
+        const renderer = new FakeRenderer();
+        const flaky = flakyTask({title: 'FLAKY', failures: 1, retries: 1, locks: ['qbit']});
+        const graph = new TaskGraph([
+          flaky,
+          abortableTask({title: 'HOLDER', requires: [], provides: [], locks: ['qbit']}),
+          delayTask({title: 'FAIL', failWith: 'uhoh', requires: [], provides: [], delay: 10}),
+        ], {renderer, locks: {qbit: new Lock(1)}});
+        await assume(graph.run()).to.throwAsync();
+        assume(flaky.attempts).to.equal(1);
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running FLAKY',
+          'state running FAIL',
+          'retry 2/2 flake 1 FLAKY',
+          'state running HOLDER', // takes the lock while FLAKY backs off
+          'state failed FAIL',
+          'fail Error: uhoh FAIL',
+          'state cancelled FLAKY', // stops waiting for the lock, and does not run again
+          'state cancelled HOLDER',
+          'stop',
+        ]);
+      });
+
+      test('cancels a retry waiting for locks when the graph fails', async function() {
+        const renderer = new FakeRenderer();
+        const flaky = flakyTask({title: 'FLAKY', failures: 1, retries: 1, locks: ['qbit']});
+        const graph = new TaskGraph([
+          flaky,
+          // ignores its signal, so keeps the lock until it finishes
+          delayTask({title: 'HOLDER', requires: [], provides: [], delay: 100, locks: ['qbit']}),
+          delayTask({title: 'FAIL', failWith: 'uhoh', requires: [], provides: [], delay: 10}),
+        ], {renderer, locks: {qbit: new Lock(1)}});
+        await assume(graph.run()).to.throwAsync();
+        assume(flaky.attempts).to.equal(1);
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running FLAKY',
+          'state running FAIL',
+          'retry 2/2 flake 1 FLAKY',
+          'state running HOLDER',
+          'state failed FAIL',
+          'fail Error: uhoh FAIL',
+          'state cancelled FLAKY', // does not wait for HOLDER to release the lock
+          'state finished HOLDER',
+          'stop',
+        ]);
+      });
+    });
+
+    suite('timeouts', function() {
+      test('fails a task that exceeds its timeout, aborting its signal', async function() {
+        const renderer = new FakeRenderer();
+        let signal;
+        const graph = new TaskGraph([{
+          title: 'HANG',
+          timeout: 5,
+          run: async (requirements, utils) => {
+            signal = utils.signal;
+            // never resolves
+            await new Promise(() => {});
+          },
+        }], {renderer});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err).to.be.instanceOf(TimeoutError);
+          assume(err.task).to.equal('HANG');
+          // timers may fire up to a millisecond early, as measured by Date.now
+          assume(err.elapsed).to.be.least(4);
+          assume(err.message).to.match(/^Task HANG timed out after \d+ms/);
+        }
+        assume(signal.aborted).to.be.true();
+        assume(renderer.updates.slice(0, 3)).to.deeply.equal([
+          'start',
+          'state running HANG',
+          'state failed HANG',
+        ]);
+      });
+
+      test('does not fail a task that finishes within its timeout', async function() {
+        const graph = new TaskGraph([
+          delayTask({title: 'QUICK', requires: [], provides: ['a'], delay: 1, timeout: 1000}),
+        ], {renderer: new FakeRenderer()});
+        assume(await graph.run()).to.deeply.equal({a: true});
+      });
+
+      test('retries a task that timed out', async function() {
+        const renderer = new FakeRenderer();
+        let attempts = 0;
+        const graph = new TaskGraph([{
+          title: 'SLOW',
+          timeout: 5,
+          retries: 1,
+          run: async () => {
+            attempts++;
+            await new Promise(resolve => setTimeout(resolve, attempts === 1 ? 50 : 0));
+          },
+        }], {renderer});
+        await graph.run();
+        assume(renderer.updates[2]).to.match(/^retry 2\/2 Task SLOW timed out after/);
+        assume(renderer.updates[3]).to.equal('state finished SLOW');
+      });
+
+      test('releases the locks of a timed-out attempt that never finishes', async function() {
+        const renderer = new FakeRenderer();
+        const qbit = new Lock(1);
+        let attempts = 0;
+        const graph = new TaskGraph([{
+          title: 'HANG',
+          timeout: 5,
+          retries: 1,
+          locks: ['qbit'],
+          run: async () => {
+            attempts++;
+            // ignores its signal, and never resolves
+            await new Promise(() => {});
+          },
+        },
+        delayTask({title: 'OTHER', requires: [], provides: [], delay: 20, locks: ['qbit']}),
+        ], {renderer, keepGoing: true, locks: {qbit}});
+        const err = await graph.run().catch(err => err);
+        assume(err.message).to.match(/^1 tasks failed:\n {2}Task HANG timed out after/);
+        assume(attempts).to.equal(2);
+        assume(qbit.n).to.equal(0);
+        assume(renderer.updates).to.contain('state failed HANG');
+        assume(renderer.updates).to.contain('state finished OTHER');
+      });
+
+      test('fails running tasks and stops when the graph times out', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          delayTask({title: 'HANG', requires: [], provides: ['a'], delay: 100}),
+          delayTask({title: 'NEXT', requires: ['a'], provides: [], delay: 0}),
+        ], {renderer, timeout: 5});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err).to.be.instanceOf(TimeoutError);
+          assume(err.task).to.equal(null);
+          assume(err.message).to.match(/^Task graph timed out after \d+ms$/);
+        }
+        assume(renderer.updates.slice(0, 3)).to.deeply.equal([
+          'start',
+          'state running HANG',
+          'state failed HANG',
+        ]);
+        assume(renderer.updates[3]).to.match(/^fail TimeoutError: Task HANG timed out after \d+ms HANG$/);
+        assume(renderer.updates[4]).to.equal('stop');
+      });
+    });
+
+    suite('caching', function() {
+      class MemoryCache {
+        constructor() {
+          this.entries = new Map();
+        }
+
+        async get(key) {
+          return this.entries.get(key);
+        }
+
+        async set(key, value) {
+          this.entries.set(key, value);
+        }
+      }
+
+      const cachingNodes = runs => [{
+        title: 'SOURCE',
+        provides: ['version'],
+        run: async () => ({version: '1.2.3'}),
+      }, {
+        title: 'BUILD',
+        requires: ['version'],
+        provides: ['artifact'],
+        cache: true,
+        run: async ({version}) => {
+          runs.push(version);
+          return {artifact: `build-${version}`};
+        },
+      }];
+
+      test('restores results from the cache when requirements match', async function() {
+        const cache = new MemoryCache();
+        const runs = [];
+        await new TaskGraph(cachingNodes(runs), {renderer: new FakeRenderer(), cache}).run();
+
+        const renderer = new FakeRenderer();
+        const context = await new TaskGraph(cachingNodes(runs), {renderer, cache}).run();
+        assume(context).to.deeply.equal({version: '1.2.3', artifact: 'build-1.2.3'});
+        assume(runs).to.deeply.equal(['1.2.3']);
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running SOURCE',
+          'state finished SOURCE',
+          'state running BUILD',
+          'state cached BUILD',
+          'stop',
+        ]);
+      });
+
+      test('runs the task when requirements differ', async function() {
+        const cache = new MemoryCache();
+        const runs = [];
+        await new TaskGraph(cachingNodes(runs), {renderer: new FakeRenderer(), cache}).run();
+        const nodes = cachingNodes(runs);
+        nodes[0].run = async () => ({version: '2.0.0'});
+        const context = await new TaskGraph(nodes, {renderer: new FakeRenderer(), cache}).run();
+        assume(context.artifact).to.equal('build-2.0.0');
+        assume(runs).to.deeply.equal(['1.2.3', '2.0.0']);
+      });
+
+      test('runs the task when its definition changes', async function() {
+        const cache = new MemoryCache();
+        const runs = [];
+        await new TaskGraph(cachingNodes(runs), {renderer: new FakeRenderer(), cache}).run();
+        const nodes = cachingNodes(runs);
+        nodes[1].run = async ({version}) => {
+          runs.push(`v${version}`);
+          return {artifact: `build-v${version}`};
+        };
+        const context = await new TaskGraph(nodes, {renderer: new FakeRenderer(), cache}).run();
+        assume(context.artifact).to.equal('build-v1.2.3');
+        assume(runs).to.deeply.equal(['1.2.3', 'v1.2.3']);
+      });
+
+      test('runs a shellTask when its command changes', async function() {
+        const cache = new MemoryCache();
+        const echo = word => shellTask({title: 'ECHO', command: `echo ${word}`, provides: ['out'], cache: true,
+          parse: stdout => ({out: stdout.trim()})});
+        await new TaskGraph([echo('one')], {renderer: new FakeRenderer(), cache}).run();
+        const renderer = new FakeRenderer();
+        const context = await new TaskGraph([echo('two')], {renderer, cache}).run();
+        assume(context.out).to.equal('two');
+        assume(renderer.updates).to.contain('state finished ECHO');
+      });
+
+      test('uses a cacheKey function', async function() {
+        const cache = new MemoryCache();
+        const runs = [];
+        const nodes = () => {
+          const nodes = cachingNodes(runs);
+          nodes[1].cacheKey = ({version}) => version.split('.')[0];
+          return nodes;
+        };
+        await new TaskGraph(nodes(), {renderer: new FakeRenderer(), cache}).run();
+        const second = nodes();
+        second[0].run = async () => ({version: '1.9.9'});
+        const context = await new TaskGraph(second, {renderer: new FakeRenderer(), cache}).run();
+        assume(context.artifact).to.equal('build-1.2.3');
+        assume(runs).to.deeply.equal(['1.2.3']);
+      });
+
+      test('does not cache tasks that do not opt in', async function() {
+        const cache = new MemoryCache();
+        const runs = [];
+        const nodes = () => {
+          const nodes = cachingNodes(runs);
+          delete nodes[1].cache;
+          return nodes;
+        };
+        await new TaskGraph(nodes(), {renderer: new FakeRenderer(), cache}).run();
+        await new TaskGraph(nodes(), {renderer: new FakeRenderer(), cache}).run();
+        assume(runs).to.deeply.equal(['1.2.3', '1.2.3']);
+        assume(cache.entries.size).to.equal(0);
+      });
+
+      test('takes locks before looking in the cache', async function() {
+        const renderer = new FakeRenderer();
+        const cachedTask = title => delayTask({title, requires: [], provides: [title], delay: 5, cache: true,
+          locks: ['qbit']});
+        const graph = new TaskGraph([
+          cachedTask('A'),
+          cachedTask('B'),
+          delayTask({title: 'C', requires: [], provides: [], delay: 1}),
+        ], {renderer, cache: new MemoryCache(), locks: {qbit: new Lock(1)}, concurrency: 2});
+        await graph.run();
+        assume(renderer.updates.slice(0, 3)).to.deeply.equal([
+          'start',
+          'state running A',
+          'state running C', // B waits for the lock without taking a concurrency slot
+        ]);
+      });
+
+      test('leaves cached tasks out of the summary', async function() {
+        const cache = new MemoryCache();
+        await new TaskGraph(cachingNodes([]), {renderer: new FakeRenderer(), cache}).run();
+        const graph = new TaskGraph(cachingNodes([]), {renderer: new FakeRenderer(), cache});
+        await graph.run();
+        assume(graph.summary.tasks.map(t => t.title)).to.deeply.equal(['SOURCE']);
+        assume(graph.summary.criticalPath).to.deeply.equal(['SOURCE', 'BUILD']);
+      });
+
+      test('stores results in files with FileCache', async function() {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taskgraph-'));
+        try {
+          const runs = [];
+          await new TaskGraph(cachingNodes(runs), {renderer: new FakeRenderer(), cache: directory}).run();
+          assume(fs.readdirSync(directory)).to.have.length(1);
+
+          const cache = new FileCache({directory});
+          const context = await new TaskGraph(cachingNodes(runs), {renderer: new FakeRenderer(), cache}).run();
+          assume(context.artifact).to.equal('build-1.2.3');
+          assume(runs).to.deeply.equal(['1.2.3']);
+          assume(await cache.get('nosuchkey')).to.equal(undefined);
+        } finally {
+          fs.rmSync(directory, {recursive: true});
+        }
+      });
+    });
+
+    suite('checkpoints', function() {
+      let directory, checkpoint;
+      setup(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taskgraph-'));
+        checkpoint = path.join(directory, 'checkpoint.json');
+      });
+
+      teardown(function() {
+        fs.rmSync(directory, {recursive: true});
+      });
+
+      // A provides a serializable value, FN provides a function, and B requires both
+      const checkpointNodes = (runs, {failB = false, aValue = 'a'} = {}) => [{
+        title: 'A',
+        provides: ['a'],
+        run: async () => {
+          runs.push('A');
+          return {a: aValue};
+        },
+      }, {
+        title: 'FN',
+        provides: ['fn'],
+        run: async () => {
+          runs.push('FN');
+          return {fn: () => 'fn'};
+        },
+      }, {
+        title: 'B',
+        requires: ['a', 'fn'],
+        provides: ['b'],
+        run: async ({a, fn}) => {
+          runs.push('B');
+          if (failB) {
+            throw new Error('uhoh');
+          }
+          return {b: `${a}-${fn()}`};
+        },
+      }, {
+        title: 'C',
+        requires: ['b'],
+        provides: ['c'],
+        run: async ({b}) => {
+          runs.push('C');
+          return {c: `${b}-c`};
+        },
+      }];
+
+      test('writes a checkpoint after each task', async function() {
+        const runs = [];
+        const graph = new TaskGraph(checkpointNodes(runs, {failB: true}), {renderer: new FakeRenderer(), checkpoint});
+        await assume(graph.run()).to.throwAsync();
+        const saved = JSON.parse(fs.readFileSync(checkpoint, 'utf8'));
+        assume(_.mapValues(saved.tasks, t => t.state)).to.deeply.equal({
+          A: 'finished', FN: 'finished', B: 'failed', C: 'pending',
+        });
+        assume(saved.context).to.deeply.equal({a: 'a'});
+      });
+
+      test('resumes tasks that finished, re-running those with unserializable values', async function() {
+        const runs = [];
+        await assume(new TaskGraph(checkpointNodes(runs, {failB: true}), {renderer: new FakeRenderer(), checkpoint})
+          .run()).to.throwAsync();
+
+        runs.length = 0;
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph(checkpointNodes(runs), {renderer, checkpoint, resumeFrom: checkpoint});
+        const context = await graph.run();
+        assume(runs).to.deeply.equal(['FN', 'B', 'C']);
+        assume(context.c).to.equal('a-fn-c');
+        assume(renderer.updates.slice(0, 2)).to.deeply.equal(['start', 'state resumed A']);
+      });
+
+      test('resumes a completed run without re-running anything serializable', async function() {
+        const runs = [];
+        const nodes = checkpointNodes(runs).filter(({title}) => title === 'A');
+        await new TaskGraph(nodes, {renderer: new FakeRenderer(), checkpoint}).run();
+        const context = await new TaskGraph(nodes, {renderer: new FakeRenderer(), resumeFrom: checkpoint}).run();
+        assume(runs).to.deeply.equal(['A']);
+        assume(context).to.deeply.equal({a: 'a'});
+      });
+
+      test('re-runs changed tasks and everything that depends on them', async function() {
+        const runs = [];
+        await new TaskGraph(checkpointNodes(runs), {renderer: new FakeRenderer(), checkpoint}).run();
+
+        runs.length = 0;
+        const nodes = checkpointNodes(runs);
+        nodes[0].run = async () => {
+          runs.push('A');
+          return {a: 'changed'};
+        };
+        const context = await new TaskGraph(nodes, {renderer: new FakeRenderer(), resumeFrom: checkpoint}).run();
+        assume(runs).to.deeply.equal(['A', 'FN', 'B', 'C']);
+        assume(context.c).to.equal('changed-fn-c');
+      });
+
+      test('runs everything when the checkpoint does not exist', async function() {
+        const runs = [];
+        await new TaskGraph(checkpointNodes(runs), {renderer: new FakeRenderer(), resumeFrom: checkpoint}).run();
+        assume(runs).to.deeply.equal(['A', 'FN', 'B', 'C']);
+      });
+
+      test('fails the run, but not the task, when the checkpoint cannot be written', async function() {
+        const renderer = new FakeRenderer();
+        const unwritable = path.join(directory, 'missing', 'checkpoint.json');
+        const graph = new TaskGraph([
+          delayTask({title: 'A', requires: [], provides: ['a'], delay: 0}),
+          delayTask({title: 'B', requires: ['a'], provides: [], delay: 0}),
+        ], {renderer, checkpoint: unwritable});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err.message).to.match(/^Could not write checkpoint .*missing.checkpoint\.json: ENOENT/);
+        }
+        assume(renderer.updates).to.deeply.equal(['start', 'state running A', 'state finished A', 'stop']);
+      });
+
+      test('does not hide a task failure when the checkpoint cannot be written', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          delayTask({title: 'F', failWith: 'uhoh', requires: [], provides: [], delay: 0}),
+        ], {renderer, checkpoint: path.join(directory, 'missing', 'checkpoint.json')});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err.message).to.equal('uhoh (while executing task F)');
+        }
+        assume(renderer.updates[renderer.updates.length - 1]).to.equal('stop');
+      });
+    });
+
+    suite('watch', function() {
+      let directory;
+      setup(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taskgraph-'));
+        fs.mkdirSync(path.join(directory, 'src'));
+        fs.writeFileSync(path.join(directory, 'src', 'main.c'), 'int main;');
+        fs.writeFileSync(path.join(directory, 'README'), 'hello');
+      });
+
+      teardown(function() {
+        fs.rmSync(directory, {recursive: true});
+      });
+
+      const until = async condition => {
+        while (!condition()) {
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+      };
+      const waits = renderer => renderer.updates.filter(u => u === 'waiting').length;
+
+      // COMPILE reads src/, which LINK requires; DOCS reads README
+      const watchNodes = runs => [{
+        title: 'COMPILE',
+        inputs: [path.join(directory, 'src', '*.c')],
+        provides: ['objects'],
+        run: async () => {
+          runs.push('COMPILE');
+          const source = fs.readFileSync(path.join(directory, 'src', 'main.c'), 'utf8');
+          if (source.includes('error')) {
+            throw new Error('syntax error');
+          }
+          return {objects: source};
+        },
+      }, {
+        title: 'LINK',
+        requires: ['objects'],
+        provides: ['binary'],
+        run: async ({objects}) => {
+          runs.push('LINK');
+          return {binary: objects.length};
+        },
+      }, {
+        title: 'DOCS',
+        inputs: [path.join(directory, 'README')],
+        provides: ['docs'],
+        run: async () => {
+          runs.push('DOCS');
+          return {docs: true};
+        },
+      }];
+
+      test('re-runs changed tasks and their dependents until cancelled', async function() {
+        const runs = [];
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph(watchNodes(runs), {renderer, watchInterval: 10});
+        const context = {};
+        const watching = graph.watch(context);
+
+        await until(() => waits(renderer) === 1);
+        assume(runs).to.deeply.equal(['COMPILE', 'DOCS', 'LINK']);
+        fs.writeFileSync(path.join(directory, 'src', 'main.c'), 'int main() {}');
+        await until(() => waits(renderer) === 2);
+        assume(runs.slice(3)).to.deeply.equal(['COMPILE', 'LINK']);
+        assume(context.binary).to.equal(13);
+
+        fs.writeFileSync(path.join(directory, 'README'), 'hello, world');
+        await until(() => waits(renderer) === 3);
+        assume(runs.slice(5)).to.deeply.equal(['DOCS']);
+
+        graph.cancel();
+        assume(await watching.catch(err => err)).to.be.instanceOf(CancelledError);
+      });
+
+      test('re-runs failed tasks after any change', async function() {
+        fs.writeFileSync(path.join(directory, 'src', 'main.c'), 'error');
+        const runs = [];
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph(watchNodes(runs), {renderer, watchInterval: 10});
+        const watching = graph.watch();
+
+        await until(() => waits(renderer) === 1);
+        assume(runs).to.deeply.equal(['COMPILE', 'DOCS']);
+        fs.writeFileSync(path.join(directory, 'README'), 'hello, world');
+        await until(() => waits(renderer) === 2);
+        assume(runs.slice(2)).to.deeply.equal(['COMPILE', 'DOCS']);
+
+        fs.writeFileSync(path.join(directory, 'src', 'main.c'), 'int main;');
+        await until(() => waits(renderer) === 3);
+        assume(runs.slice(4)).to.deeply.equal(['COMPILE', 'LINK']);
+
+        graph.cancel();
+        assume(await watching.catch(err => err)).to.be.instanceOf(CancelledError);
+      });
+
+      test('replaces the tasks added by a task that re-runs', async function() {
+        const runs = [];
+        const renderer = new FakeRenderer();
+        const nodes = watchNodes(runs);
+        // LINK adds a task for each word in the source
+        nodes[1].run = async ({objects}, {addTasks}) => {
+          runs.push('LINK');
+          addTasks(objects.split(' ').map(word => ({
+            title: `BUILD ${word}`,
+            requires: ['objects'],
+            provides: [`built-${word}`],
+            run: async () => {
+              runs.push(`BUILD ${word}`);
+            },
+          })));
+          return {binary: objects.length};
+        };
+        const graph = new TaskGraph(nodes, {renderer, watchInterval: 10});
+        const context = {};
+        const watching = graph.watch(context);
+
+        await until(() => waits(renderer) === 1);
+        assume(runs).to.deeply.equal(['COMPILE', 'DOCS', 'LINK', 'BUILD int', 'BUILD main;']);
+        fs.writeFileSync(path.join(directory, 'src', 'main.c'), 'int main() {}');
+        await until(() => waits(renderer) === 2);
+        assume(runs.slice(5)).to.deeply.equal(['COMPILE', 'LINK', 'BUILD int', 'BUILD main()', 'BUILD {}']);
+        assume(graph.nodes.map(node => node.state)).to.deeply.equal(Array(6).fill('finished'));
+        assume(Object.keys(context).filter(k => k.startsWith('built-')).sort())
+          .to.deeply.equal(['built-int', 'built-main()', 'built-{}']);
+
+        graph.cancel();
+        assume(await watching.catch(err => err)).to.be.instanceOf(CancelledError);
+      });
+
+      test('stops with errors that are not task failures', async function() {
+        const nodes = watchNodes([]);
+        nodes[1].requires.push('missing');
+        const graph = new TaskGraph(nodes, {renderer: new FakeRenderer(), watchInterval: 10});
+        const err = await graph.watch().catch(err => err);
+        assume(err.message).to.equal('Task LINK has unfulfilled requirements');
+      });
+    });
+
+    suite('isolated tasks', function() {
+      let directory, modulePath;
+      setup(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taskgraph-'));
+        modulePath = path.join(directory, 'task.js');
+        fs.writeFileSync(modulePath, [
+          'module.exports = async ({input}, {status, step, log, waitFor}) => {',
+          '  if (input === "fail") throw new Error("isolated failure");',
+          '  if (input === "spin") for (;;) {}',
+          '  step({title: "working"});',
+          '  status({message: `got ${input}`});',
+          '  log("warn", "careful", {n: 1});',
+          '  console.log("to stdout");',
+          '  await waitFor(Promise.resolve());',
+          '  return {output: new Map([[input, require("worker_threads").isMainThread]])};',
+          '};',
+        ].join('\n'));
+      });
+
+      teardown(function() {
+        fs.rmSync(directory, {recursive: true});
+      });
+
+      const isolatedTask = (isolate, options) => ({
+        title: 'ISO',
+        requires: ['input'],
+        provides: ['output'],
+        isolate,
+        module: modulePath,
+        ...options,
+      });
+
+      for (const isolate of ['worker', 'process']) {
+        test(`runs a task in a ${isolate}, passing back utils calls and results`, async function() {
+          const renderer = new FakeRenderer();
+          const graph = new TaskGraph([isolatedTask(isolate)], {renderer});
+          const {output} = await graph.run({input: 'hello'});
+          // the value is a Map, so it was not serialized as JSON, and a child process is a main thread
+          assume(output.get('hello')).to.equal(isolate === 'process');
+          assume(renderer.updates).to.contain('step {"title":"working"} ISO');
+          assume(renderer.updates).to.contain('status {"message":"got hello"} ISO');
+          assume(renderer.updates).to.contain('logEntry {"level":"warn","message":"careful","fields":{"n":1}} ISO');
+          assume(renderer.updates).to.contain('log stdout: to stdout ISO');
+          assume(renderer.updates.slice(-2)).to.deeply.equal(['state finished ISO', 'stop']);
+        });
+
+        test(`fails when a task in a ${isolate} fails`, async function() {
+          const graph = new TaskGraph([isolatedTask(isolate)], {renderer: new FakeRenderer()});
+          const err = await graph.run({input: 'fail'}).catch(err => err);
+          assume(err.message).to.equal('isolated failure (while executing task ISO)');
+        });
+
+        test(`terminates a task in a ${isolate} when it times out`, async function() {
+          const graph = new TaskGraph([isolatedTask(isolate, {timeout: 100})], {renderer: new FakeRenderer()});
+          assume(await graph.run({input: 'spin'}).catch(err => err)).to.be.instanceOf(TimeoutError);
+        });
+      }
+
+      test('detects invalid isolation', function() {
+        try {
+          new TaskGraph([
+            isolatedTask('thread'),
+            {title: 'NOMODULE', isolate: 'worker'},
+            isolatedTask('worker', {title: 'RELATIVE', provides: [], module: './task.js'}),
+          ]);
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err.problems.map(p => p.type)).to.deeply.equal(Array(3).fill('invalid-isolate'));
+          assume(err.problems[2].message).to.equal('Task RELATIVE must have an absolute module path, not ./task.js');
+        }
+      });
+
+      test('re-runs a resumed task when its module changes', async function() {
+        const checkpoint = path.join(directory, 'checkpoint.json');
+        const modules = ['one', 'two'].map(name => {
+          const filename = path.join(directory, `${name}.js`);
+          fs.writeFileSync(filename, `module.exports = async () => ({output: '${name}'});`);
+          return filename;
+        });
+        await new TaskGraph([isolatedTask('worker', {requires: [], module: modules[0]})],
+          {renderer: new FakeRenderer(), checkpoint}).run();
+        const context = await new TaskGraph([isolatedTask('worker', {requires: [], module: modules[1]})],
+          {renderer: new FakeRenderer(), resumeFrom: checkpoint}).run();
+        assume(context.output).to.equal('two');
+      });
+    });
+
+    suite('log files', function() {
+      let logDirectory;
+      setup(function() {
+        logDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'taskgraph-'));
+      });
+
+      teardown(function() {
+        fs.rmSync(logDirectory, {recursive: true});
+      });
+
+      // a task that logs some lines, failing the first `failures` times it is run
+      const loggingTask = ({title, lines, failures, retries = 0}) => {
+        let attempts = 0;
+        return {
+          title,
+          retries,
+          backoff: 1,
+          run: async (requirements, {waitFor}) => {
+            attempts++;
+            await waitFor(Observable.of(...lines.map(line => `${line} ${attempts}`)));
+            if (attempts <= failures) {
+              throw new Error(`flake ${attempts}`);
+            }
+          },
+        };
+      };
+
+      test('writes all output of each attempt to a file per task', async function() {
+        const graph = new TaskGraph([
+          loggingTask({title: 'Log Things', lines: ['a', 'b'], failures: 1, retries: 1}),
+        ], {renderer: new FakeRenderer(), logDirectory});
+        await graph.run();
+        const files = fs.readdirSync(logDirectory);
+        assume(files).to.have.length(1);
+        assume(files[0]).to.match(/^Log_Things-[0-9a-f]{8}\.log$/);
+        assume(fs.readFileSync(path.join(logDirectory, files[0]), 'utf8')).to.equal(
+          'a 1\nb 1\n--- attempt 1 failed: Error: flake 1; retrying ---\na 2\nb 2\n');
+      });
+
+      test('gives tasks with similar titles different files', async function() {
+        const titles = ['Compile Rust', 'Compile/Rust', 'Compile_Rust', 'ビルド', 'テスト'];
+        const graph = new TaskGraph(titles.map(title => loggingTask({title, lines: [title], failures: 0})),
+          {renderer: new FakeRenderer(), logDirectory});
+        await graph.run();
+        const files = graph.nodes.map(node => path.basename(node.logFile));
+        assume(_.uniq(files)).to.have.length(titles.length);
+        assume(files[2]).to.equal('Compile_Rust.log');
+        assume(files[0]).to.match(/^Compile_Rust-[0-9a-f]{8}\.log$/);
+        assume(files[3]).to.match(/^_-[0-9a-f]{8}\.log$/);
+        graph.nodes.forEach(node => {
+          assume(fs.readFileSync(node.logFile, 'utf8')).to.equal(`${node.task.title} 1\n`);
+        });
+      });
+
+      test('LogRenderer shows the tail of the log of a failed task', async function() {
+        const logged = [];
+        const graph = new TaskGraph([
+          loggingTask({title: 'FAIL', lines: ['a', 'b', 'c'], failures: 5}),
+        ], {renderer: new LogRenderer({logTail: 2}), logDirectory});
+        const log = console.log;
+        console.log = line => logged.push(line.replace(/^\[[0-9:]+\] /, ''));
+        try {
+          await assume(graph.run()).to.throwAsync();
+        } finally {
+          console.log = log;
+        }
+        assume(logged.slice(-4)).to.deeply.equal([
+          'FAIL: fail: Error: flake 1',
+          'FAIL: | b 1',
+          'FAIL: | c 1',
+          `FAIL: full log: ${path.join(logDirectory, 'FAIL.log')}`,
+        ]);
+      });
+    });
+
+    suite('cancellation', function() {
+      test('cancels running tasks on first failure', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          abortableTask({title: 'WAIT', requires: [], provides: []}),
+          delayTask({title: 'FAIL', failWith: 'uhoh', requires: [], provides: [], delay: 2}),
+          delayTask({title: 'LATER', requires: [], provides: [], delay: 5}),
+        ], {renderer});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err.toString()).to.match(/Error: uhoh \(while executing task FAIL\)/);
+        }
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running WAIT',
+          'state running FAIL',
+          'state running LATER',
+          'state failed FAIL',
+          'fail Error: uhoh FAIL',
+          'state cancelled WAIT',
+          'state finished LATER', // did not respond to the signal, so runs to completion
+          'stop',
+        ]);
+      });
+
+      test('cancels running tasks and skips pending tasks on cancel()', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          abortableTask({title: 'WAIT', requires: [], provides: ['a']}),
+          delayTask({title: 'NEXT', requires: ['a'], provides: [], delay: 0}),
+        ], {renderer});
+        setTimeout(() => graph.cancel(), 5);
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err).to.be.instanceOf(CancelledError);
+        }
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running WAIT',
+          'state cancelled WAIT',
+          'stop',
+        ]);
+      });
+
+      test('cancels on SIGINT', async function() {
+        // hide mocha's own SIGINT handler for the duration of the test
+        const others = process.listeners('SIGINT');
+        process.removeAllListeners('SIGINT');
+        try {
+          const renderer = new FakeRenderer();
+          const graph = new TaskGraph([
+            abortableTask({title: 'WAIT', requires: [], provides: []}),
+          ], {renderer});
+          setTimeout(() => process.emit('SIGINT'), 5);
+          try {
+            await graph.run();
+            assert(false, 'expected an error');
+          } catch (err) {
+            assume(err).to.be.instanceOf(CancelledError);
+          }
+          assume(renderer.updates).to.deeply.equal([
+            'start',
+            'state running WAIT',
+            'state cancelled WAIT',
+            'stop',
+          ]);
+          assume(process.listenerCount('SIGINT')).to.equal(0);
+        } finally {
+          others.forEach(l => process.on('SIGINT', l));
+        }
+      });
+
+      test('cancel() does nothing when the graph is not running', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          delayTask({title: 'OK', requires: [], provides: [], delay: 0}),
+        ], {renderer});
+        graph.cancel();
+        await graph.run();
+        graph.cancel();
+      });
+    });
+
+    test('succeeds if a task provides nothing', async function() {
+      const renderer = new FakeRenderer();
+      const graph = new TaskGraph([
+        delayTask({title: 'OK', requires: [], provides: [], result: null, delay: 0}),
+      ], {renderer});
+      await graph.run();
+      assume(renderer.updates).to.deeply.equal([
+        'start',
+        'state running OK',
+        'state finished OK',
+        'stop',
+      ]);
+    });
+
+    test('succeeds if a task provides one thing and returns nothing', async function() {
+      const renderer = new FakeRenderer();
+      const graph = new TaskGraph([
+        delayTask({title: 'OK', requires: [], provides: ['a'], result: null, delay: 0}),
+      ], {renderer});
+      const context = await graph.run();
+      assume(context).to.deeply.equal({a: true});
+      assume(renderer.updates).to.deeply.equal([
+        'start',
+        'state running OK',
+        'state finished OK',
+        'stop',
+      ]);
+    });
+
+    test('fails if a task does not return all provides keys', async function() {
+      const renderer = new FakeRenderer();
+      const graph = new TaskGraph([
+        delayTask({title: 'OK', requires: [], provides: ['a', 'b'], result: {a: 10}, delay: 0}),
+      ], {renderer});
+      try {
+        await graph.run();
+        assert(false, 'expected an error');
+      } catch (err) {
+        assume(err).to.match(/did not provide expected/); // first error is thrown..
+      }
+      assume(renderer.updates).to.deeply.equal([
+        'start',
+        'state running OK',
+        'state failed OK',
+        'fail AssertionError [ERR_ASSERTION]: Task OK did not provide expected b OK',
+        'stop',
+      ]);
+    });
+
+    suite('events', function() {
+      test('emits events for each update', async function() {
+        const graph = new TaskGraph([{
+          title: 'T',
+          provides: ['a'],
+          run: async (requirements, {status, step}) => {
+            step({title: 'one'});
+            status({message: 'hi'});
+          },
+        }], {renderer: new FakeRenderer()});
+        const events = [];
+        graph.on('start', nodes => events.push(`start ${nodes.length}`));
+        graph.on('state', (node, state) => events.push(`state ${node.task.title} ${state}`));
+        graph.on('step', (node, {title}) => events.push(`step ${title}`));
+        graph.on('status', (node, {message}) => events.push(`status ${message}`));
+        graph.on('update', (node, change) => events.push(`update ${change}`));
+        graph.on('stop', () => events.push('stop'));
+        await graph.run();
+        assume(events).to.deeply.equal([
+          'start 1',
+          'update state',
+          'state T running',
+          'update step',
+          'step one',
+          'update status',
+          'status hi',
+          'update state',
+          'state T finished',
+          'stop',
+        ]);
+      });
+
+      test('iterates over events', async function() {
+        const graph = new TaskGraph([
+          delayTask({title: 'FAIL', failWith: 'uhoh', requires: [], provides: [], delay: 0}),
+        ], {renderer: new FakeRenderer()});
+        const collected = (async () => {
+          const events = [];
+          for await (const event of graph.events()) {
+            events.push(event);
+          }
+          return events;
+        })();
+        await assume(graph.run()).to.throwAsync();
+        const events = await collected;
+        const updates = events.filter(e => e.type !== 'update');
+        assume(updates.map(e => e.type)).to.deeply.equal(['start', 'state', 'state', 'fail', 'summary', 'stop']);
+        assume(updates[1].node.task.title).to.equal('FAIL');
+        assume(updates[3].value.message).to.match(/uhoh/);
+        assume(updates[4].summary.criticalPath).to.deeply.equal(['FAIL']);
+        assume(graph.listenerCount('state')).to.equal(0);
+      });
+
+      test('fans out to several renderers', async function() {
+        const first = new FakeRenderer();
+        const second = new FakeRenderer();
+        const graph = new TaskGraph([
+          delayTask({title: 'OK', requires: [], provides: [], delay: 0}),
+        ], {renderers: [first, second]});
+        await graph.run();
+        const expected = ['start', 'state running OK', 'state finished OK', 'stop'];
+        assume(first.updates).to.deeply.equal(expected);
+        assume(second.updates).to.deeply.equal(expected);
+      });
+    });
+
+    suite('utils.skip', function() {
+      test('skips', async function() {
+        const renderer = new FakeRenderer();
+        const nodes = [{
+          title: 'SKIP',
+          requires: [],
+          provides: ['a', 'b'],
+          run: async (requirements, {skip}) => {
+            return skip({provides: {a: 10, b: 20}});
+          },
+        }];
+        const graph = new TaskGraph(nodes, {renderer});
+        const context = await graph.run();
+        assume(context).to.deeply.equal({a: 10, b: 20});
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running SKIP',
+          'state skipped SKIP',
+          'skip skipped SKIP',
+          'stop',
+        ]);
+      });
+
+      test('skips with a reason', async function() {
+        const renderer = new FakeRenderer();
+        const nodes = [{
+          title: 'SKIP',
+          requires: [],
+          provides: [],
+          run: async (requirements, {skip}) => {
+            return skip({reason: 'because'});
+          },
+        }];
+        const graph = new TaskGraph(nodes, {renderer});
+        const context = await graph.run();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running SKIP',
+          'state skipped SKIP',
+          'skip because SKIP',
+          'stop',
+        ]);
+      });
+    });
+
+    suite('utils.addTasks', function() {
+      test('adds tasks to a running graph', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([{
+          title: 'LIST',
+          provides: ['packages'],
+          run: async (requirements, {addTasks}) => {
+            const packages = ['a', 'b'];
+            addTasks([
+              ...packages.map((pkg, i) => delayTask({
+                title: `BUILD-${pkg}`, requires: ['packages'], provides: [`built-${pkg}`], delay: i * 5,
+              })),
+              delayTask({title: 'BUNDLE', requires: ['built-a', 'built-b'], provides: ['bundle'], delay: 0}),
+            ]);
+            return {packages};
+          },
+        }], {renderer});
+        const context = await graph.run();
+        assume(context).to.deeply.equal({packages: ['a', 'b'], 'built-a': true, 'built-b': true, bundle: true});
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running LIST',
+          'add BUILD-a,BUILD-b,BUNDLE',
+          'state finished LIST',
+          'state running BUILD-a',
+          'state running BUILD-b',
+          'state finished BUILD-a',
+          'state finished BUILD-b',
+          'state running BUNDLE',
+          'state finished BUNDLE',
+          'stop',
+        ]);
+      });
+
+      test('starts added tasks whose requirements are already available', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([{
+          title: 'PARENT',
+          run: async (requirements, {addTasks}) => {
+            addTasks([delayTask({title: 'CHILD', requires: ['ok'], provides: [], delay: 0})]);
+            await new Promise(resolve => setTimeout(resolve, 5));
+          },
+        }], {renderer});
+        await graph.run({ok: true});
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running PARENT',
+          'add CHILD',
+          'state running CHILD',
+          'state finished CHILD',
+          'state finished PARENT',
+          'stop',
+        ]);
+      });
+
+      test('validates added tasks', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([{
+          title: 'PARENT',
+          provides: ['a'],
+          run: async (requirements, {addTasks}) => {
+            addTasks([
+              delayTask({title: 'DUP', requires: [], provides: ['a'], delay: 0}),
+              delayTask({title: 'MISSING', requires: ['nosuch'], provides: [], delay: 0}),
+            ]);
+          },
+        }], {renderer});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err).to.be.instanceOf(GraphValidationError);
+          assume(err.problems.map(p => p.type)).to.deeply.equal(['duplicate-provider', 'unprovided-requirement']);
+        }
+        assume(graph.nodes.map(n => n.task.title)).to.deeply.equal(['PARENT']);
+      });
+    });
+
+    suite('utils.runSubgraph', function() {
+      test('runs a subgraph, providing its results to the parent', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          delayTask({title: 'SRC', requires: [], provides: ['src'], result: {src: 'code'}, delay: 0}),
+          {
+            title: 'GROUP',
+            requires: ['src'],
+            provides: ['bin'],
+            run: async (requirements, {runSubgraph}) => runSubgraph([{
+              title: 'COMPILE',
+              requires: ['src'],
+              provides: ['obj'],
+              run: async ({src}) => ({obj: `${src}.o`}),
+            }, {
+              title: 'LINK',
+              requires: ['obj'],
+              provides: ['bin'],
+              run: async ({obj}) => ({bin: `${obj}.bin`}),
+            }]),
+          },
+        ], {renderer});
+        const context = await graph.run();
+        assume(context).to.deeply.equal({src: 'code', bin: 'code.o.bin'});
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running SRC',
+          'state finished SRC',
+          'state running GROUP',
+          'state running GROUP > COMPILE',
+          'state finished GROUP > COMPILE',
+          'state running GROUP > LINK',
+          'state finished GROUP > LINK',
+          'state finished GROUP',
+          'stop',
+        ]);
+      });
+
+      test('fails the parent when the subgraph fails', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([{
+          title: 'GROUP',
+          run: async (requirements, {runSubgraph}) => runSubgraph([
+            delayTask({title: 'BAD', failWith: 'uhoh', requires: [], provides: [], delay: 0}),
+          ]),
+        }], {renderer});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err.message).to.match(/^uhoh \(while executing task BAD\) \(while executing task GROUP\)/);
+        }
+        assume(renderer.updates.slice(0, 5)).to.deeply.equal([
+          'start',
+          'state running GROUP',
+          'state running GROUP > BAD',
+          'state failed GROUP > BAD',
+          'fail Error: uhoh GROUP > BAD',
+        ]);
+        assume(renderer.updates[5]).to.equal('state failed GROUP');
+      });
+
+      test('rejects subgraph tasks needing more of a lock than the parent leaves', async function() {
+        const graph = new TaskGraph([{
+          title: 'GROUP',
+          locks: ['qbit'],
+          run: async (requirements, {runSubgraph}) => runSubgraph([
+            delayTask({title: 'FITS', requires: [], provides: [], delay: 0, locks: ['qbit']}),
+            delayTask({title: 'TOO BIG', requires: [], provides: [], delay: 0, locks: {qbit: 2}}),
+          ]),
+        }], {renderer: new FakeRenderer(), locks: {qbit: new Lock(2)}});
+        const err = await graph.run().catch(err => err);
+        assume(err).to.be.instanceOf(GraphValidationError);
+        assume(err.problems).to.deeply.equal([{
+          type: 'lock-weight',
+          message: 'Task TOO BIG uses 2 of lock qbit, but only 1 remain while GROUP holds it',
+          task: 'TOO BIG',
+          lock: 'qbit',
+          weight: 2,
+        }]);
+      });
+
+      test('cancels the subgraph when the parent is cancelled', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([{
+          title: 'GROUP',
+          run: async (requirements, {runSubgraph}) => runSubgraph([
+            abortableTask({title: 'WAIT', requires: [], provides: []}),
+          ]),
+        }], {renderer});
+        setTimeout(() => graph.cancel(), 5);
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err).to.be.instanceOf(CancelledError);
+        }
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running GROUP',
+          'state running GROUP > WAIT',
+          'state cancelled GROUP > WAIT',
+          'state cancelled GROUP',
+          'stop',
+        ]);
+      });
+    });
+
+    suite('utils.step', function() {
+      test('records a step update', async function() {
+        const renderer = new FakeRenderer();
+        const nodes = [{
+          title: 'STEP',
+          requires: [],
+          provides: [],
+          run: async (requirements, {step}) => {
+            step({title: 'Step 1'});
+            step({title: 'Step 2'});
+          },
+        }];
+        const graph = new TaskGraph(nodes, {renderer});
+        const context = await graph.run();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running STEP',
+          'step {"title":"Step 1"} STEP',
+          'step {"title":"Step 2"} STEP',
+          'state finished STEP',
+          'stop',
+        ]);
+      });
+    });
+
+    suite('utils.status', function() {
+      test('updates status', async function() {
+        const renderer = new FakeRenderer();
+        const nodes = [{
+          title: 'STAT',
+          requires: [],
+          provides: [],
+          run: async (requirements, {status}) => {
+            status({message: 'hi'});
+            status({progress: 50});
+            status({progress: 100});
+            status({message: 'bye'});
+          },
+        }];
+        const graph = new TaskGraph(nodes, {renderer});
+        const context = await graph.run();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running STAT',
+          'status {"message":"hi"} STAT',
           'status {"progress":50} STAT',
           'status {"progress":100} STAT',
           'status {"message":"bye"} STAT',
@@ -344,6 +2165,59 @@ suite('src/taskgraph.js', function() {
       });
     });
 
+    suite('utils.log', function() {
+      const logTask = {
+        title: 'LOG',
+        requires: [],
+        provides: [],
+        run: async (requirements, {log}) => {
+          log('debug', 'details');
+          log('info', 'hello', {count: 2});
+          log('warn', 'careful');
+        },
+      };
+
+      test('logs entries at or above the graph log level', async function() {
+        const renderer = new FakeRenderer();
+        await new TaskGraph([logTask], {renderer}).run();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running LOG',
+          'logEntry {"level":"info","message":"hello","fields":{"count":2}} LOG',
+          'logEntry {"level":"warn","message":"careful","fields":{}} LOG',
+          'state finished LOG',
+          'stop',
+        ]);
+      });
+
+      test('logs debug entries with logLevel debug', async function() {
+        const renderer = new FakeRenderer();
+        await new TaskGraph([logTask], {renderer, logLevel: 'debug'}).run();
+        assume(renderer.updates[2]).to.equal('logEntry {"level":"debug","message":"details","fields":{}} LOG');
+      });
+
+      test('writes all entries to the log file', async function() {
+        const logDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'taskgraph-'));
+        try {
+          await new TaskGraph([logTask], {renderer: new FakeRenderer(), logLevel: 'warn', logDirectory}).run();
+          assume(fs.readFileSync(path.join(logDirectory, 'LOG.log'), 'utf8')).to.equal(
+            'debug: details\ninfo: hello {"count":2}\nwarn: careful\n');
+        } finally {
+          fs.rmSync(logDirectory, {recursive: true});
+        }
+      });
+
+      test('rejects unknown levels', async function() {
+        const graph = new TaskGraph([{
+          title: 'BAD',
+          run: async (requirements, {log}) => log('loud', 'hi'),
+        }], {renderer: new FakeRenderer()});
+        const err = await graph.run().catch(err => err);
+        assume(err.message).to.match(/^Unknown log level loud/);
+        assume(() => new TaskGraph([], {logLevel: 'loud'})).to.throw(/Unknown log level loud/);
+      });
+    });
+
     suite('utils.waitFor', function() {
       test('handles streams', async function() {
         const renderer = new FakeRenderer();
@@ -399,6 +2273,278 @@ suite('src/taskgraph.js', function() {
           'stop',
         ]);
       });
+
+      test('calls onLine with each line', async function() {
+        const lines = [];
+        const graph = new TaskGraph([{
+          title: 'OBS',
+          run: async (requirements, {waitFor}) => {
+            await waitFor(Observable.of('data 1', 'data 2'), {onLine: line => lines.push(line)});
+          },
+        }], {renderer: new FakeRenderer()});
+        await graph.run();
+        assume(lines).to.deeply.equal(['data 1', 'data 2']);
+      });
+
+      // a task that runs the given node script in a child process
+      const nodeTask = script => ({
+        title: 'PROC',
+        requires: [],
+        provides: [],
+        run: async (requirements, {waitFor}) => {
+          await waitFor(spawn(process.execPath, ['-e', script]));
+        },
+      });
+
+      test('handles child processes, tagging lines by source', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([
+          nodeTask('console.log("out 1"); setTimeout(() => { console.error("err 1"); console.log("out 2"); }, 50);'),
+        ], {renderer});
+        await graph.run();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running PROC',
+          'log stdout: out 1 PROC',
+          'log stderr: err 1 PROC',
+          'log stdout: out 2 PROC',
+          'state finished PROC',
+          'stop',
+        ]);
+      });
+
+      test('rejects when a child process exits unsuccessfully', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([nodeTask('console.error("oops"); process.exit(3);')], {renderer});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err).to.be.instanceOf(ProcessError);
+          assume(err.code).to.equal(3);
+          assume(err.signal).to.equal(null);
+          assume(err.message).to.match(/^Command .* exited with code 3/);
+        }
+        assume(renderer.updates).to.contain('log stderr: oops PROC');
+      });
+
+      test('reports the signal that killed a child process', async function() {
+        const renderer = new FakeRenderer();
+        const graph = new TaskGraph([nodeTask('process.kill(process.pid, "SIGTERM");')], {renderer});
+        try {
+          await graph.run();
+          assert(false, 'expected an error');
+        } catch (err) {
+          assume(err.code).to.equal(null);
+          assume(err.signal).to.equal('SIGTERM');
+          assume(err.message).to.match(/was killed by signal SIGTERM/);
+        }
+      });
+
+      test('handles objects with stdout and stderr streams', async function() {
+        const renderer = new FakeRenderer();
+        const nodes = [{
+          title: 'STDIO',
+          requires: [],
+          provides: [],
+          run: async (requirements, {waitFor}) => {
+            const stdout = new PassThrough();
+            const stderr = new PassThrough();
+            setTimeout(() => stdout.end('out\n'), 5);
+            setTimeout(() => stderr.end('err\n'), 10);
+            await waitFor({stdout, stderr});
+          },
+        }];
+        await new TaskGraph(nodes, {renderer}).run();
+        assume(renderer.updates).to.deeply.equal([
+          'start',
+          'state running STDIO',
+          'log stdout: out STDIO',
+          'log stderr: err STDIO',
+          'state finished STDIO',
+          'stop',
+        ]);
+      });
+    });
+  });
+
+  suite('shellTask', function() {
+    test('runs a templated shell command, logging its output', async function() {
+      const renderer = new FakeRenderer();
+      const graph = new TaskGraph([
+        shellTask({
+          title: 'SH',
+          requires: ['name'],
+          provides: ['greeting'],
+          command: 'echo "hello {{name}}" && echo done >&2',
+          parse: stdout => ({greeting: stdout.trim()}),
+        }),
+      ], {renderer});
+      const context = await graph.run({name: 'world'});
+      assume(context.greeting).to.equal('hello world');
+      assume(renderer.updates).to.contain('log stdout: hello world SH');
+      assume(renderer.updates).to.contain('log stderr: done SH');
+      assume(renderer.updates.slice(-2)).to.deeply.equal(['state finished SH', 'stop']);
+    });
+
+    test('runs an array command without a shell', async function() {
+      const graph = new TaskGraph([
+        shellTask({
+          title: 'ARGV',
+          requires: ['name'],
+          optionalRequires: ['missing'],
+          provides: ['args'],
+          command: [process.execPath, '-e', 'console.log(JSON.stringify(process.argv.slice(1)))',
+            '{{name}}', '{{missing}}'],
+          parse: stdout => ({args: JSON.parse(stdout)}),
+        }),
+      ], {renderer: new FakeRenderer()});
+      const context = await graph.run({name: 'a b; $c'});
+      assume(context.args).to.deeply.equal(['a b; $c', '']);
+    });
+
+    test('runs a command given as a function, with cwd and env', async function() {
+      const cwd = fs.realpathSync(os.tmpdir());
+      const graph = new TaskGraph([
+        shellTask({
+          title: 'FN',
+          requires: ['variable'],
+          provides: ['output'],
+          command: ({variable}) => `pwd && echo $${variable}`,
+          cwd,
+          env: {GREETING: 'hi'},
+          parse: stdout => ({output: stdout.trim().split('\n')}),
+        }),
+      ], {renderer: new FakeRenderer()});
+      const context = await graph.run({variable: 'GREETING'});
+      assume(context.output).to.deeply.equal([cwd, 'hi']);
+    });
+
+    test('fails with the tail of the output on non-zero exit', async function() {
+      const command = 'for i in 1 2 3 4 5; do echo line $i; done; exit 2';
+      const logged = [];
+      const graph = new TaskGraph([
+        shellTask({title: 'FAIL', command, tail: 3}),
+      ], {renderer: new LogRenderer({logTail: 2})});
+      const log = console.log;
+      console.log = line => logged.push(line.replace(/^\[[0-9:]+\] /, ''));
+      try {
+        await graph.run();
+        assert(false, 'expected an error');
+      } catch (err) {
+        assume(err).to.be.instanceOf(ProcessError);
+        assume(err.code).to.equal(2);
+        assume(err.output).to.deeply.equal(['line 3', 'line 4', 'line 5']);
+      } finally {
+        console.log = log;
+      }
+      assume(logged.slice(-3)).to.deeply.equal([
+        `FAIL: fail: ProcessError: Command /bin/sh -c ${command} exited with code 2`,
+        'FAIL: | line 4',
+        'FAIL: | line 5',
+      ]);
+    });
+
+    test('kills the command when the graph is cancelled', async function() {
+      const renderer = new FakeRenderer();
+      const graph = new TaskGraph([shellTask({title: 'SLEEP', command: 'sleep 30'})], {renderer});
+      setTimeout(() => graph.cancel(), 50);
+      assume(await graph.run().catch(err => err)).to.be.instanceOf(CancelledError);
+      assume(renderer.updates).to.deeply.equal(['start', 'state running SLEEP', 'state cancelled SLEEP', 'stop']);
+    });
+
+    test('rejects templates referring to keys that are not required', function() {
+      assume(() => shellTask({title: 'BAD', requires: ['a'], command: 'echo {{a}} {{b}}'}))
+        .to.throw(/refers to \{\{b\}\}, which is not a requirement of BAD/);
+    });
+  });
+
+  suite('JSONRenderer', function() {
+    const run = async (tasks, options) => {
+      const graph = new TaskGraph(tasks, {renderer: new JSONRenderer(options)});
+      try {
+        await graph.run();
+      } catch (err) {
+        // errors are checked in the output
+      }
+    };
+
+    const events = text => text.trim().split('\n').map(line => {
+      const event = JSON.parse(line);
+      assume(event.time).to.match(/^\d{4}-\d\d-\d\dT/);
+      delete event.time;
+      return event;
+    });
+
+    test('writes events to a stream', async function() {
+      const stream = new PassThrough();
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      await run([{
+        title: 'LOG',
+        provides: ['a'],
+        run: async (requirements, {waitFor, status}) => {
+          status({message: 'hi'});
+          const s = new Readable();
+          s.push(Buffer.from('line\n'));
+          s.push(null);
+          await waitFor(s);
+        },
+      }, {
+        title: 'FAIL',
+        requires: ['a'],
+        run: async () => {
+          throw new Error('uhoh');
+        },
+      }], {stream});
+      const output = events(Buffer.concat(chunks).toString());
+      assume(output.slice(0, 5)).to.deeply.equal([
+        {event: 'start', tasks: ['LOG', 'FAIL']},
+        {event: 'update', task: 'LOG', change: 'state', state: 'running', value: 'running'},
+        {event: 'update', task: 'LOG', change: 'status', state: 'running', value: {message: 'hi'}},
+        {event: 'update', task: 'LOG', change: 'log', state: 'running', value: 'line'},
+        {event: 'update', task: 'LOG', change: 'state', state: 'finished', value: 'finished'},
+      ]);
+      const fail = output[7];
+      assume(fail.change).to.equal('fail');
+      assume(fail.value.name).to.equal('Error');
+      assume(fail.value.message).to.equal('uhoh');
+      assume(fail.value.stack).to.match(/^Error: uhoh\n/);
+      assume(output[8].event).to.equal('summary');
+      assume(output[8].summary.criticalPath).to.deeply.equal(['LOG', 'FAIL']);
+      assume(output[9]).to.deeply.equal({event: 'stop'});
+    });
+
+    test('appends events to a file', async function() {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taskgraph-'));
+      const filename = path.join(directory, 'events.json');
+      try {
+        const tasks = [delayTask({title: 'OK', requires: [], provides: [], delay: 0})];
+        await run(tasks, {filename});
+        await run(tasks, {filename});
+        const output = events(fs.readFileSync(filename, 'utf8'));
+        assume(output.map(e => e.event)).to.deeply.equal([
+          'start', 'update', 'update', 'summary', 'stop',
+          'start', 'update', 'update', 'summary', 'stop',
+        ]);
+      } finally {
+        fs.rmSync(directory, {recursive: true});
+      }
+    });
+
+    test('writes a plan to a file', function() {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'taskgraph-'));
+      const filename = path.join(directory, 'events.json');
+      try {
+        const renderer = new JSONRenderer({filename});
+        new TaskGraph([delayTask({title: 'OK', requires: [], provides: [], delay: 0})], {renderer}).plan();
+        assume(events(fs.readFileSync(filename, 'utf8'))).to.deeply.equal([
+          {event: 'plan', waves: [{tasks: ['OK'], locks: {}}]},
+        ]);
+        assume(renderer.fd).to.equal(undefined);
+      } finally {
+        fs.rmSync(directory, {recursive: true});
+      }
     });
   });
 });